@@ -0,0 +1,167 @@
+// Command-line entry point for one-off jobs
+//   node cli.js backfill <clubNumber> <start YYYY-MM-DD> [end YYYY-MM-DD]
+//   node cli.js replay <recording day dir> [--expect writes.json] [--save writes.json]
+// The server module is loaded per command, since replay has to point the ledger elsewhere first
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+// A backfill goes through the running server (POST /backfill), so it holds the server's job locks
+// and writes through the server's copy of the ledger. Only when no server is listening is it run here
+const SYNC_URL = process.env.SYNC_URL || `http://localhost:${process.env.PORT || 3000}`;
+const SYNC_API_KEY = process.env.SYNC_API_KEY;
+
+function usage() {
+  console.log('Usage:');
+  console.log('  node cli.js backfill <clubNumber> <start YYYY-MM-DD> [end YYYY-MM-DD]');
+  console.log('  node cli.js replay <recording day dir> [--expect writes.json] [--save writes.json]');
+}
+
+// --name value pairs after the positional arguments
+function parseFlags(args) {
+  const flags = {};
+  for (let i = 0; i < args.length; i += 2) {
+    if (!args[i].startsWith('--') || args[i + 1] === undefined) return null;
+    flags[args[i].slice(2)] = args[i + 1];
+  }
+  return flags;
+}
+
+// Writes in one list but not the other (as a multiset, order ignored)
+function diffWrites(actual, expected) {
+  const remaining = expected.map(write => JSON.stringify(write));
+  const unexpected = [];
+  for (const write of actual.map(w => JSON.stringify(w))) {
+    const index = remaining.indexOf(write);
+    if (index === -1) {
+      unexpected.push(write);
+    } else {
+      remaining.splice(index, 1);
+    }
+  }
+  return { missing: remaining, unexpected };
+}
+
+// Ask the running server to backfill; returns the exit code, or null if no server is listening
+async function backfillViaServer(clubNumber, start, end) {
+  let response;
+  try {
+    response = await axios.post(`${SYNC_URL}/backfill/${encodeURIComponent(clubNumber)}`, null, {
+      params: { start, end },
+      headers: { 'X-API-Key': SYNC_API_KEY || '' },
+      validateStatus: () => true
+    });
+  } catch (error) {
+    if (error.code === 'ECONNREFUSED') return null;
+    console.error(`[CLI] Could not reach the server at ${SYNC_URL}: ${error.message}`);
+    return 1;
+  }
+
+  const result = response.data || {};
+  if (response.status === 200) {
+    console.log(`[CLI] Backfilled club ${clubNumber} ${start} to ${end} through ${SYNC_URL}`);
+    return 0;
+  }
+  if (response.status === 401 || response.status === 403) {
+    console.error(`[CLI] The server refused the backfill - set SYNC_API_KEY to an operator key (${result.error || response.status})`);
+  } else if (result.failedDays) {
+    console.error(`[CLI] Backfill failed for: ${result.failedDays.join(', ')}`);
+  } else {
+    console.error(`[CLI] Backfill failed: ${result.error || `HTTP ${response.status}`}`);
+  }
+  return 1;
+}
+
+// One poll cycle against a traffic recording (see lib/traffic.js), reporting the GHL writes it made
+// Runs on a scratch copy of the recorded ledger, with the current config
+async function replay(dir, flags) {
+  const scratchLedger = path.join(os.tmpdir(), `abc-ghl-replay-${process.pid}.json`);
+  process.env.LEDGER_PATH = scratchLedger;
+
+  const { loadRecording, getReplayWrites } = require('./lib/traffic');
+  const recording = loadRecording(dir);
+  if (recording.ledgerPath) fs.copyFileSync(recording.ledgerPath, scratchLedger);
+
+  const { registerJobs, pollAllClubs } = require('./server');
+  let failures;
+  try {
+    registerJobs();
+    ({ failures } = await pollAllClubs());
+  } finally {
+    fs.rmSync(scratchLedger, { force: true });
+  }
+
+  const writes = getReplayWrites();
+  console.log(`[CLI] Replay of ${recording.day} made ${writes.length} GHL write(s):`);
+  writes.forEach(write => console.log(`[CLI]   ${write.action} ${write.method} ${write.path}`));
+  if (failures.length > 0) {
+    console.error(`[CLI] Jobs failed during replay: ${failures.join(', ')}`);
+  }
+
+  if (flags.save) {
+    fs.writeFileSync(flags.save, JSON.stringify(writes, null, 2));
+    console.log(`[CLI] Saved writes to ${flags.save}`);
+  }
+
+  if (flags.expect) {
+    const { missing, unexpected } = diffWrites(writes, JSON.parse(fs.readFileSync(flags.expect, 'utf8')));
+    if (missing.length > 0 || unexpected.length > 0) {
+      missing.forEach(write => console.error(`[CLI] Expected write not made: ${write}`));
+      unexpected.forEach(write => console.error(`[CLI] Unexpected write: ${write}`));
+      return 1;
+    }
+    console.log(`[CLI] Writes match ${flags.expect}`);
+  }
+  return 0;
+}
+
+async function main(args) {
+  const [command, ...rest] = args;
+
+  switch (command) {
+    case 'backfill': {
+      const { backfill, validateBackfillRange } = require('./server');
+      const [clubNumber, start, end = start] = rest;
+      const error = validateBackfillRange(clubNumber, start, end);
+      if (error) {
+        console.error(`[CLI] ${error}`);
+        usage();
+        return 1;
+      }
+
+      const code = await backfillViaServer(clubNumber, start, end);
+      if (code !== null) return code;
+
+      console.log(`[CLI] No server at ${SYNC_URL} - backfilling in this process`);
+      const result = await backfill(clubNumber, start, end);
+      if (!result.ok) {
+        console.error(`[CLI] Backfill failed for: ${result.failedDays.join(', ')}`);
+        return 1;
+      }
+      return 0;
+    }
+
+    case 'replay': {
+      const [dir, ...flagArgs] = rest;
+      const flags = parseFlags(flagArgs);
+      if (!dir || !flags) {
+        usage();
+        return 1;
+      }
+
+      try {
+        return await replay(dir, flags);
+      } catch (error) {
+        console.error(`[CLI] Replay failed: ${error.message}`);
+        return 1;
+      }
+    }
+
+    default:
+      usage();
+      return command ? 1 : 0;
+  }
+}
+
+main(process.argv.slice(2)).then(code => process.exit(code));
@@ -0,0 +1,177 @@
+const axios = require('axios');
+const { toAbcRange } = require('./dates');
+const { sleep, backoffDelay, parseRetryAfter, isRetryable } = require('./retry');
+const metrics = require('./metrics');
+const traffic = require('./traffic');
+const { createLogger } = require('./logger');
+
+const log = createLogger('abc');
+
+// ABC API Config
+const ABC_API_BASE = process.env.ABC_API_BASE || 'https://api.abcfinancial.com/rest';
+const ABC_APP_ID = process.env.ABC_APP_ID;
+const ABC_APP_KEY = process.env.ABC_APP_KEY;
+
+// Retry policy for transient failures (network errors, 5xx, 429)
+const ABC_MAX_ATTEMPTS = parseInt(process.env.ABC_MAX_ATTEMPTS, 10) || 4;
+const ABC_RETRY_BASE_MS = 1000;
+const ABC_RETRY_MAX_MS = 30000;
+
+// Give up on a request that hasn't answered after this long (counts as a network error)
+const ABC_TIMEOUT_MS = parseInt(process.env.ABC_TIMEOUT_MS, 10) || 30000;
+
+// Safety valve so a misbehaving nextPage can't loop forever
+const ABC_MAX_PAGES = 100;
+
+// Request metrics (every attempt counts, retries included)
+const abcRequests = metrics.counter('abc_requests_total', 'ABC API requests by endpoint and HTTP status', ['endpoint', 'status']);
+const abcLatency = metrics.histogram('abc_request_duration_seconds', 'ABC API request latency', ['endpoint']);
+
+// "/31600/members/123" -> "/:club/members/:id", to keep label cardinality low
+function endpointLabel(path) {
+  return path.replace(/^\/\d+/, '/:club').replace(/\/members\/[^/]+$/, '/members/:id');
+}
+
+// Raised when ABC can't be reached or keeps failing - callers treat this as "fetch failed",
+// which is different from a successful fetch that returned zero results
+class AbcApiError extends Error {
+  constructor(message, { status, attempts, data } = {}) {
+    super(message);
+    this.name = 'AbcApiError';
+    this.status = status || null;
+    this.attempts = attempts || 0;
+    this.data = data || null;
+  }
+}
+
+// Single GET against the ABC API, retrying transient failures
+async function abcGet(path, params = {}) {
+  const endpoint = endpointLabel(path);
+
+  for (let attempt = 1; ; attempt++) {
+    const elapsed = metrics.startTimer();
+    try {
+      const response = await traffic.exchange('abc', { method: 'get', path, params }, () =>
+        axios.get(`${ABC_API_BASE}${path}`, {
+          headers: {
+            'accept': 'application/json',
+            'app_id': ABC_APP_ID,
+            'app_key': ABC_APP_KEY
+          },
+          params: params,
+          timeout: ABC_TIMEOUT_MS
+        })
+      );
+      abcRequests.inc({ endpoint, status: response.status });
+      abcLatency.observe({ endpoint }, elapsed());
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      abcRequests.inc({ endpoint, status: status || 'network_error' });
+      abcLatency.observe({ endpoint }, elapsed());
+
+      if (!isRetryable(error) || attempt >= ABC_MAX_ATTEMPTS) {
+        throw new AbcApiError(
+          `ABC GET ${path} failed after ${attempt} attempt(s): ${status ? `HTTP ${status}` : error.message}`,
+          { status, attempts: attempt, data: error.response?.data }
+        );
+      }
+
+      const retryAfter = status === 429 ? parseRetryAfter(error.response.headers?.['retry-after']) : null;
+      const delay = Math.min(retryAfter ?? backoffDelay(attempt, ABC_RETRY_BASE_MS, ABC_RETRY_MAX_MS), ABC_RETRY_MAX_MS * 4);
+      log.warn('Request failed, retrying', {
+        method: 'GET', path, status, error: status ? undefined : error.message,
+        attempt, maxRetries: ABC_MAX_ATTEMPTS - 1, delayMs: delay
+      });
+      await sleep(delay);
+    }
+  }
+}
+
+// GET every page of a list endpoint, following ABC's status.nextPage
+// extract(data) pulls the list out of one page's response
+async function abcGetAllPages(path, params, extract) {
+  const results = [];
+  let page = 1;
+
+  for (let fetched = 0; fetched < ABC_MAX_PAGES; fetched++) {
+    const data = await abcGet(path, { ...params, page });
+    results.push(...extract(data));
+
+    const nextPage = parseInt(data?.status?.nextPage, 10);
+    if (!nextPage || nextPage <= page) return results;
+    page = nextPage;
+  }
+
+  throw new AbcApiError(`ABC GET ${path} returned more than ${ABC_MAX_PAGES} pages`);
+}
+
+// Extract transactions from ABC POS response (nested under clubs[0].transactions)
+function extractTransactions(data) {
+  const clubs = data?.clubs || [];
+  if (clubs.length === 0) return [];
+  const transactions = clubs[0].transactions || [];
+  return Array.isArray(transactions) ? transactions : [];
+}
+
+// ABC API: Get members/prospects for a club created within a date range (all pages)
+async function fetchProspects(clubNumber, range) {
+  return abcGetAllPages(`/${clubNumber}/members`, {
+    joinStatus: 'Prospect',
+    createdTimestampRange: toAbcRange(range)
+  }, data => data?.members || []);
+}
+
+// ABC API: Get members (signed agreements) for a club converted within a date range (all pages)
+async function fetchConvertedMembers(clubNumber, range) {
+  return abcGetAllPages(`/${clubNumber}/members`, {
+    joinStatus: 'Member',
+    convertedDateRange: toAbcRange(range)
+  }, data => data?.members || []);
+}
+
+// ABC API: Get POS transactions within a date range (all pages)
+async function fetchPosTransactions(clubNumber, range) {
+  return abcGetAllPages(`/${clubNumber}/clubs/transactions/pos`, {
+    transactionTimestampRange: toAbcRange(range)
+  }, extractTransactions);
+}
+
+// ABC API: Get check-ins at a club within a date range (all pages)
+async function fetchCheckins(clubNumber, range) {
+  return abcGetAllPages(`/${clubNumber}/clubs/checkins/details`, {
+    checkInTimestampRange: toAbcRange(range)
+  }, data => data?.checkins || []);
+}
+
+// ABC API: Get one member's check-ins within a date range (all pages)
+async function fetchMemberCheckins(clubNumber, memberId, range) {
+  return abcGetAllPages(`/${clubNumber}/members/checkins/details`, {
+    memberId,
+    checkInTimestampRange: toAbcRange(range)
+  }, data => data?.checkins || []);
+}
+
+// ABC API: Get member by ID (null if ABC has no such member)
+async function fetchMember(clubNumber, memberId) {
+  try {
+    const data = await abcGet(`/${clubNumber}/members/${memberId}`);
+    const members = data?.members || [];
+    return members[0] || null;
+  } catch (error) {
+    if (error.status === 404) return null;
+    throw error;
+  }
+}
+
+module.exports = {
+  AbcApiError,
+  abcGet,
+  abcGetAllPages,
+  fetchProspects,
+  fetchConvertedMembers,
+  fetchPosTransactions,
+  fetchCheckins,
+  fetchMemberCheckins,
+  fetchMember
+};
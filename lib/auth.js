@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+
+const log = createLogger('auth');
+
+// API key auth for the trigger, retry-queue and debug routes
+// API_KEYS is a comma-separated list of key=roles entries, several roles joined with "+":
+//   API_KEYS=cron-key=operator,support-key=debug,admin-key=operator+debug
+// Callers send the key as "Authorization: Bearer <key>" or "X-API-Key: <key>"; browsers (the /admin
+// dashboard) use Basic auth with the key as the password and any user name
+// Roles: "operator" runs syncs and manages the retry queue; "debug" may see unmasked PII (?pii=true)
+const ROLES = ['operator', 'debug'];
+
+// Keys are kept as SHA-256 digests so lookups can be compared in constant time
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+function parseApiKeys(value) {
+  const keys = [];
+  for (const entry of (value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const separator = entry.lastIndexOf('=');
+    const key = entry.slice(0, separator).trim();
+    const roles = entry.slice(separator + 1).split('+').map(role => role.trim());
+
+    if (separator <= 0 || !key) {
+      log.error('Ignoring API_KEYS entry without a key=role form');
+      continue;
+    }
+    const unknown = roles.filter(role => !ROLES.includes(role));
+    if (unknown.length > 0) {
+      log.error('Ignoring API key with unknown role(s)', { roles: unknown, expected: ROLES });
+      continue;
+    }
+    keys.push({ digest: hashKey(key), roles });
+  }
+  return keys;
+}
+
+const API_KEYS = parseApiKeys(process.env.API_KEYS);
+
+function getApiKeyCount() {
+  return API_KEYS.length;
+}
+
+// Key sent with a request as { key, basic }, from any of the headers
+function getRequestKey(req) {
+  const header = req.get('authorization') || '';
+  const bearer = header.match(/^Bearer\s+(.+)$/i);
+  if (bearer) return { key: bearer[1].trim(), basic: false };
+
+  const basic = header.match(/^Basic\s+(.+)$/i);
+  if (basic) {
+    const credentials = Buffer.from(basic[1].trim(), 'base64').toString('utf8');
+    return { key: credentials.slice(credentials.indexOf(':') + 1).trim(), basic: true };
+  }
+  return { key: (req.get('x-api-key') || '').trim(), basic: false };
+}
+
+// Browsers send Basic credentials on their own, so a form on another site could post to us
+// with them - state-changing requests made that way must come from one of our own pages
+function isSameOrigin(req) {
+  const source = req.get('origin') || req.get('referer');
+  if (!source) return false;
+  try {
+    return new URL(source).host === req.get('host');
+  } catch (error) {
+    return false;
+  }
+}
+
+function challenge(res) {
+  return res.status(401).set('WWW-Authenticate', ['Bearer', 'Basic realm="ABC-GHL Sync", charset="UTF-8"']);
+}
+
+// Roles for a key, or null if it is not one of ours
+function getRoles(key) {
+  const digest = hashKey(key);
+  let roles = null;
+  // Check every key so the time taken doesn't depend on which one matched
+  for (const entry of API_KEYS) {
+    if (crypto.timingSafeEqual(entry.digest, digest)) roles = entry.roles;
+  }
+  return roles;
+}
+
+// Middleware: the caller needs a valid key holding at least one of roles
+// 401 for a missing or unknown key, 403 for a key without the role
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const { key, basic } = getRequestKey(req);
+    if (!key) {
+      return challenge(res).json({ error: 'API key required' });
+    }
+
+    const callerRoles = getRoles(key);
+    if (!callerRoles) {
+      log.warn('Rejected unknown API key', { method: req.method, path: req.path });
+      return challenge(res).json({ error: 'Invalid API key' });
+    }
+    if (!roles.some(role => callerRoles.includes(role))) {
+      return res.status(403).json({ error: `Requires role: ${roles.join(' or ')}` });
+    }
+    if (basic && !['GET', 'HEAD'].includes(req.method) && !isSameOrigin(req)) {
+      log.warn('Rejected cross-site request', { method: req.method, path: req.path });
+      return res.status(403).json({ error: 'Cross-site request refused' });
+    }
+
+    req.auth = { roles: callerRoles };
+    next();
+  };
+}
+
+// Middleware (after requireRole): ?pii=true unmasks personal data, for debug-role callers only
+// Sets req.showPii for the route handler
+function piiAccess(req, res, next) {
+  req.showPii = req.query.pii === 'true';
+  if (req.showPii && !req.auth?.roles.includes('debug')) {
+    return res.status(403).json({ error: 'pii=true requires role: debug' });
+  }
+  next();
+}
+
+module.exports = {
+  ROLES,
+  getApiKeyCount,
+  requireRole,
+  piiAccess
+};
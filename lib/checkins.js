@@ -0,0 +1,211 @@
+const { TRANSFORMS } = require('./fieldMap');
+
+// Check-in activity -> GHL, for automations that react to gym visits (welcome texts, win-backs)
+// Each member who checks in gets three custom fields on their GHL contact, and milestone tags
+// as their visit count reaches them. Only existing contacts (found by ABC ID) are updated
+//
+// Config (config/sync-config.json, checkins) - the check-in job only runs when this is present:
+//   "checkins": {
+//     "clubs": ["31600"],
+//     "fields": { "firstCheckIn": "abc_first_checkin", "lastCheckIn": "abc_last_checkin", "visits30Days": "abc_visits_30_days" },
+//     "milestones": [{ "visits": 1, "tag": "first visit" }, { "visits": 10, "tag": "10th visit" }]
+//   }
+// clubs defaults to every club and fields to the keys above; milestones is optional
+//
+// The first time a member is seen, their totals start from ABC: the visit count from their record
+// (personal.totalCheckInCount) and the 30-day count from their check-ins over the window. Both go
+// up with every check-in the job sees after that
+const DEFAULT_CHECKIN_FIELDS = {
+  firstCheckIn: 'abc_first_checkin',
+  lastCheckIn: 'abc_last_checkin',
+  visits30Days: 'abc_visits_30_days'
+};
+
+// The visit count window, in days (today included)
+const VISIT_WINDOW_DAYS = 30;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Validate the raw checkins section, returning a list of errors (empty if valid)
+function validateCheckins(checkins, clubNumbers) {
+  if (checkins === undefined) return [];
+  if (!isPlainObject(checkins)) return ['checkins must be an object'];
+
+  const errors = [];
+  if (checkins.clubs !== undefined) {
+    if (!Array.isArray(checkins.clubs) || checkins.clubs.length === 0) {
+      errors.push('checkins.clubs must list at least one club');
+    } else {
+      checkins.clubs
+        .filter(club => !clubNumbers.includes(club))
+        .forEach(club => errors.push(`checkins.clubs: "${club}" is not a configured club`));
+    }
+  }
+
+  if (checkins.fields !== undefined) {
+    if (!isPlainObject(checkins.fields)) {
+      errors.push('checkins.fields must be an object of field -> GHL custom field key');
+    } else {
+      for (const [field, key] of Object.entries(checkins.fields)) {
+        if (!DEFAULT_CHECKIN_FIELDS[field]) {
+          errors.push(`checkins.fields.${field}: unknown field (expected one of ${Object.keys(DEFAULT_CHECKIN_FIELDS).join(', ')})`);
+        } else if (typeof key !== 'string' || !/^[a-z0-9_]+$/i.test(key)) {
+          errors.push(`checkins.fields.${field} must be a GHL custom field key (letters, digits or underscores)`);
+        }
+      }
+    }
+  }
+
+  if (checkins.milestones !== undefined) {
+    if (!Array.isArray(checkins.milestones)) {
+      errors.push('checkins.milestones must be a list of { visits, tag }');
+    } else {
+      const counts = new Set();
+      checkins.milestones.forEach((milestone, index) => {
+        const where = `checkins.milestones[${index}]`;
+        if (!isPlainObject(milestone)) {
+          errors.push(`${where}: must be an object`);
+          return;
+        }
+        if (!Number.isInteger(milestone.visits) || milestone.visits < 1) {
+          errors.push(`${where}.visits must be a whole number of visits (at least 1)`);
+        } else if (counts.has(milestone.visits)) {
+          errors.push(`${where}.visits: more than one milestone at ${milestone.visits} visits`);
+        } else {
+          counts.add(milestone.visits);
+        }
+        if (typeof milestone.tag !== 'string' || !milestone.tag.trim()) {
+          errors.push(`${where}.tag is required`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Runtime settings, or null when check-ins aren't synced
+function compileCheckins(checkins, clubNumbers) {
+  if (!checkins) return null;
+  return {
+    clubs: checkins.clubs || clubNumbers,
+    fields: { ...DEFAULT_CHECKIN_FIELDS, ...checkins.fields },
+    milestones: [...(checkins.milestones || [])].sort((a, b) => a.visits - b.visits)
+  };
+}
+
+// ABC check-in record accessors (the member may be nested or flattened)
+function getCheckinMemberId(checkin) {
+  const memberId = checkin.member?.memberId || checkin.memberId;
+  return memberId ? memberId.toString() : null;
+}
+
+function getCheckinHomeClub(checkin) {
+  return (checkin.member?.homeClub || checkin.homeClub || '').toString() || null;
+}
+
+function getCheckinDate(checkin) {
+  return TRANSFORMS.date(String(checkin.checkInTimestamp || checkin.checkinTimestamp || ''));
+}
+
+// Without an id from ABC, the member and time identify a check-in
+function getCheckinId(checkin) {
+  const timestamp = checkin.checkInTimestamp || checkin.checkinTimestamp;
+  return (checkin.checkInId || checkin.checkinId || `${getCheckinMemberId(checkin)}@${timestamp}`).toString();
+}
+
+// Check-ins the desk refused (e.g. a lapsed membership) aren't visits
+function isVisit(checkin) {
+  return !!getCheckinMemberId(checkin) && !!getCheckinDate(checkin) && !/denied/i.test(checkin.checkInStatus || '');
+}
+
+// The visit window ending today, as a { start, end } date range
+function getVisitWindow(today) {
+  const start = new Date(`${today}T00:00:00Z`);
+  start.setUTCDate(start.getUTCDate() - (VISIT_WINDOW_DAYS - 1));
+  return { start: start.toISOString().slice(0, 10), end: today };
+}
+
+function toVisit(checkin) {
+  return { id: getCheckinId(checkin), date: getCheckinDate(checkin) };
+}
+
+// The visits of a member's recent visits [{ id, date }] that are still in the window
+function getRecentVisits(recent, today) {
+  const { start } = getVisitWindow(today);
+  return (recent || []).filter(visit => visit.date >= start && visit.date <= today);
+}
+
+// Visits in the last 30 days (today included)
+function countRecentVisits(recent, today) {
+  return getRecentVisits(recent, today).length;
+}
+
+// A member's visit stats after new check-ins (ones not already in stats.recent)
+// stats is { firstCheckIn, lastCheckIn, totalVisits, recent: [{ id, date }] } - recent only keeps
+// the window, and is how check-ins seen on an earlier run are told apart
+// Returns { stats, reached } - reached is the milestones the new visits took the total past
+function addVisits(stats, checkins, milestones, today) {
+  const dates = checkins.map(getCheckinDate).sort();
+  const totalVisits = stats.totalVisits + checkins.length;
+
+  return {
+    stats: {
+      firstCheckIn: [stats.firstCheckIn, dates[0]].filter(Boolean).sort()[0],
+      lastCheckIn: [stats.lastCheckIn, dates[dates.length - 1]].filter(Boolean).sort().pop(),
+      totalVisits,
+      recent: getRecentVisits([...stats.recent, ...checkins.map(toVisit)], today)
+    },
+    reached: milestones.filter(milestone => stats.totalVisits < milestone.visits && milestone.visits <= totalVisits)
+  };
+}
+
+// Starting stats for a member seen for the first time, before the check-ins being synced
+// history is their ABC check-ins over the visit window, which may include those check-ins too -
+// as does ABC's totalCheckInCount
+function getInitialStats(member, checkins, history) {
+  const personal = member?.personal || {};
+  const newIds = checkins.map(getCheckinId);
+  const earlier = history
+    .filter(checkin => isVisit(checkin) && !newIds.includes(getCheckinId(checkin)))
+    .map(toVisit);
+  const dates = earlier.map(visit => visit.date).sort();
+  const abcTotal = parseInt(personal.totalCheckInCount ?? member?.totalCheckInCount, 10);
+  const firstCheckIn = TRANSFORMS.date(String(personal.firstCheckInTimestamp || member?.firstCheckInTimestamp || ''));
+  return {
+    firstCheckIn: firstCheckIn || dates[0] || null,
+    lastCheckIn: dates[dates.length - 1] || null,
+    totalVisits: Math.max(isNaN(abcTotal) ? 0 : abcTotal - checkins.length, earlier.length),
+    recent: earlier
+  };
+}
+
+// The GHL custom fields for a member's stats, shaped like mapped fields (see lib/fieldMap.js)
+// The first check-in is only filled in if blank; the others are kept current
+function getVisitFields(stats, fields, today) {
+  return [
+    { key: fields.firstCheckIn, value: stats.firstCheckIn, policy: 'fill' },
+    { key: fields.lastCheckIn, value: stats.lastCheckIn, policy: 'overwrite' },
+    { key: fields.visits30Days, value: String(countRecentVisits(stats.recent, today)), policy: 'overwrite' }
+  ]
+    .filter(field => field.value)
+    .map(({ key, value, policy }) => ({ to: `custom.${key}`, custom: key, value, policy }));
+}
+
+module.exports = {
+  DEFAULT_CHECKIN_FIELDS,
+  validateCheckins,
+  compileCheckins,
+  getCheckinMemberId,
+  getCheckinHomeClub,
+  getCheckinId,
+  isVisit,
+  getVisitWindow,
+  getRecentVisits,
+  countRecentVisits,
+  addVisits,
+  getInitialStats,
+  getVisitFields
+};
@@ -0,0 +1,330 @@
+const fs = require('fs');
+const path = require('path');
+const { isValidTimeZone } = require('./dates');
+const { validatePosRules, compilePosRules } = require('./posRules');
+const { validateProspectRules, compileProspectRules } = require('./prospectRules');
+const { validateCheckins, compileCheckins } = require('./checkins');
+const { validateFieldMap, compileFieldMap } = require('./fieldMap');
+const { validateOpportunity } = require('./opportunities');
+const { validateCron } = require('./cron');
+const { createLogger } = require('./logger');
+const { hasOAuthTokens } = require('./ghlAuth');
+
+const log = createLogger('config');
+
+// Clubs, campaigns, tags, prospect filter rules, POS rules and check-in settings live in a JSON config file
+// The file is validated as a whole - a bad file is rejected and the previous config stays active
+const CONFIG_PATH = process.env.CONFIG_PATH || path.join(__dirname, '..', 'config', 'sync-config.json');
+
+// How often the file is checked for changes (hot-reload)
+const CONFIG_WATCH_INTERVAL = 5000;
+
+// Per-field update policies for existing GHL contacts (fieldPolicy)
+//   fill      - only set the field when GHL has it blank (default)
+//   overwrite - replace a non-empty GHL value with ABC's value
+//   never     - never touch the field on an existing contact
+const FIELD_POLICIES = ['fill', 'overwrite', 'never'];
+const UPSERT_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'abcMemberId'];
+
+// Keys used to find an existing GHL contact, tried in matchPriority order
+const MATCH_KEYS = ['abc_id', 'email', 'phone'];
+const DEFAULT_MATCH_PRIORITY = ['abc_id', 'email', 'phone'];
+
+// Tag added to a synced prospect's GHL contact once they sign an agreement
+const DEFAULT_CONVERSION_TAG = 'converted';
+
+// Job schedules (see lib/scheduler.js), by job kind; a kind's entry covers every club and can be
+// overridden for one club with "<kind>:<clubNumber>" (per-club kinds only)
+// Each schedule is { "intervalSeconds": 60 } or { "cron": "0 0 * * *", "timezone": "..." }
+// (cron timezone defaults to the club's, or America/Los_Angeles for jobs not tied to a club)
+const DEFAULT_SCHEDULES = {
+  'prospects': { intervalSeconds: 60 },
+  'pos': { intervalSeconds: 60 },
+  'conversions': { intervalSeconds: 60 },
+  'checkins': { intervalSeconds: 300 },
+  'retry-queue': { intervalSeconds: 60 },
+  'reconciliation': { cron: '0 3 * * *' },
+  'ledger-prune': { cron: '0 0 * * *' }
+};
+const CLUB_JOB_KINDS = ['prospects', 'pos', 'conversions', 'checkins', 'reconciliation'];
+
+let current = null;
+const changeListeners = [];
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Errors for one schedules entry
+function validateSchedule(name, schedule, clubNumbers) {
+  const where = `schedules.${name}`;
+  const [kind, clubNumber] = name.split(':');
+  if (!DEFAULT_SCHEDULES[kind]) {
+    return [`${where}: unknown job (expected one of ${Object.keys(DEFAULT_SCHEDULES).join(', ')})`];
+  }
+  if (clubNumber !== undefined && (!CLUB_JOB_KINDS.includes(kind) || !clubNumbers.includes(clubNumber))) {
+    return [`${where}: per-club schedules need a configured club and one of ${CLUB_JOB_KINDS.join(', ')}`];
+  }
+  if (!isPlainObject(schedule) || (schedule.intervalSeconds === undefined) === (schedule.cron === undefined)) {
+    return [`${where} must have either intervalSeconds or cron`];
+  }
+
+  const errors = [];
+  if (schedule.intervalSeconds !== undefined &&
+      (!Number.isInteger(schedule.intervalSeconds) || schedule.intervalSeconds < 1)) {
+    errors.push(`${where}.intervalSeconds must be a whole number of seconds (at least 1)`);
+  }
+  if (schedule.cron !== undefined) {
+    const error = validateCron(schedule.cron);
+    if (error) errors.push(`${where}.${error}`);
+  }
+  if (schedule.timezone !== undefined && schedule.cron === undefined) {
+    errors.push(`${where}.timezone only applies to cron schedules`);
+  } else if (schedule.timezone !== undefined && !isValidTimeZone(schedule.timezone)) {
+    errors.push(`${where}.timezone "${schedule.timezone}" is not a valid IANA timezone`);
+  }
+  return errors;
+}
+
+// Validate raw config, returning a list of human-readable errors (empty if valid)
+function validateConfig(raw) {
+  const errors = [];
+
+  if (!isPlainObject(raw)) {
+    return ['config must be a JSON object'];
+  }
+
+  const clubNumbers = isPlainObject(raw.clubs) ? Object.keys(raw.clubs) : [];
+  const campaignNames = isPlainObject(raw.campaigns) ? Object.keys(raw.campaigns) : [];
+  const ruleNames = Array.isArray(raw.posRules) ? raw.posRules.map(rule => rule?.name) : [];
+
+  // Clubs
+  if (!isPlainObject(raw.clubs) || Object.keys(raw.clubs).length === 0) {
+    errors.push('clubs must be an object with at least one club');
+  } else {
+    for (const [clubNumber, club] of Object.entries(raw.clubs)) {
+      const where = `clubs.${clubNumber}`;
+      if (!/^\d+$/.test(clubNumber)) {
+        errors.push(`${where}: club number must be numeric`);
+      }
+      if (!isPlainObject(club)) {
+        errors.push(`${where}: must be an object`);
+        continue;
+      }
+      if (!isNonEmptyString(club.ghlLocationId)) {
+        errors.push(`${where}.ghlLocationId is required`);
+      }
+      if (!isNonEmptyString(club.ghlTokenEnv) || !/^[A-Z][A-Z0-9_]*$/.test(club.ghlTokenEnv)) {
+        errors.push(`${where}.ghlTokenEnv must be an environment variable name (e.g. GHL_TOKEN_${clubNumber})`);
+      }
+      if (!isValidTimeZone(club.timezone)) {
+        errors.push(`${where}.timezone "${club.timezone}" is not a valid IANA timezone`);
+      }
+      errors.push(...validateFieldMap(club.fieldMap, `${where}.fieldMap`));
+    }
+  }
+
+  // Campaigns
+  if (!isPlainObject(raw.campaigns) || Object.keys(raw.campaigns).length === 0) {
+    errors.push('campaigns must be an object with at least one campaign');
+  } else {
+    for (const [campaign, settings] of Object.entries(raw.campaigns)) {
+      if (!isPlainObject(settings) || !isNonEmptyString(settings.tag)) {
+        errors.push(`campaigns.${campaign}.tag is required`);
+        continue;
+      }
+      // GHL pipeline for the campaign's prospects (optional, see lib/opportunities.js)
+      errors.push(...validateOpportunity(settings.opportunity, `campaigns.${campaign}.opportunity`, clubNumbers, ruleNames));
+    }
+  }
+
+  // Field update policy (optional)
+  if (raw.fieldPolicy !== undefined) {
+    if (!isPlainObject(raw.fieldPolicy)) {
+      errors.push('fieldPolicy must be an object of field -> policy');
+    } else {
+      for (const [field, policy] of Object.entries(raw.fieldPolicy)) {
+        if (!UPSERT_FIELDS.includes(field)) {
+          errors.push(`fieldPolicy.${field}: unknown field (expected one of ${UPSERT_FIELDS.join(', ')})`);
+        } else if (!FIELD_POLICIES.includes(policy)) {
+          errors.push(`fieldPolicy.${field}: policy must be one of ${FIELD_POLICIES.join(', ')}`);
+        }
+      }
+    }
+  }
+
+  // Extra ABC -> GHL fields (optional, see lib/fieldMap.js)
+  errors.push(...validateFieldMap(raw.fieldMap, 'fieldMap'));
+
+  // Prospect -> member conversion handling (optional)
+  if (raw.conversion !== undefined) {
+    const conversion = raw.conversion;
+    if (!isPlainObject(conversion)) {
+      errors.push('conversion must be an object');
+    } else {
+      if (conversion.tag !== undefined && !isNonEmptyString(conversion.tag)) {
+        errors.push('conversion.tag must be a non-empty tag');
+      }
+      if (conversion.removeCampaignTag !== undefined && typeof conversion.removeCampaignTag !== 'boolean') {
+        errors.push('conversion.removeCampaignTag must be true or false');
+      }
+      errors.push(...validateFieldMap(conversion.fieldMap, 'conversion.fieldMap'));
+    }
+  }
+
+  // Contact dedupe order (optional)
+  if (raw.matchPriority !== undefined) {
+    const priority = raw.matchPriority;
+    if (!Array.isArray(priority) || priority.length === 0 || !priority.every(key => MATCH_KEYS.includes(key))) {
+      errors.push(`matchPriority must be a non-empty list of ${MATCH_KEYS.join(', ')}`);
+    } else if (new Set(priority).size !== priority.length) {
+      errors.push('matchPriority must not repeat a key');
+    }
+  }
+
+  // Which prospects are synced, with which extra tags and workflows (optional, see lib/prospectRules.js)
+  errors.push(...validateProspectRules(raw.prospectRules, clubNumbers, campaignNames));
+
+  // POS purchase -> tag rules (optional, see lib/posRules.js)
+  errors.push(...validatePosRules(raw.posRules, clubNumbers));
+
+  // Check-in activity -> GHL visit fields and milestone tags (optional, see lib/checkins.js)
+  errors.push(...validateCheckins(raw.checkins, clubNumbers));
+
+  // Nightly ABC vs GHL reconciliation (optional)
+  if (raw.reconciliation !== undefined) {
+    if (!isPlainObject(raw.reconciliation)) {
+      errors.push('reconciliation must be an object');
+    } else if (raw.reconciliation.heal !== undefined && typeof raw.reconciliation.heal !== 'boolean') {
+      errors.push('reconciliation.heal must be true or false');
+    }
+  }
+
+  // Job schedules (optional)
+  if (raw.schedules !== undefined) {
+    if (!isPlainObject(raw.schedules)) {
+      errors.push('schedules must be an object of job -> schedule');
+    } else {
+      for (const [name, schedule] of Object.entries(raw.schedules)) {
+        errors.push(...validateSchedule(name, schedule, clubNumbers));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Turn validated raw config into the shape the sync code uses
+function normalizeConfig(raw) {
+  const clubs = {};
+  for (const [clubNumber, club] of Object.entries(raw.clubs)) {
+    clubs[clubNumber] = {
+      clubNumber: clubNumber,
+      name: club.name || clubNumber,
+      ghlLocationId: club.ghlLocationId,
+      ghlTokenEnv: club.ghlTokenEnv,
+      ghlToken: process.env[club.ghlTokenEnv],
+      timezone: club.timezone,
+      fieldMap: compileFieldMap(raw.fieldMap, club.fieldMap)
+    };
+  }
+
+  const fieldPolicy = {};
+  for (const field of UPSERT_FIELDS) {
+    fieldPolicy[field] = raw.fieldPolicy?.[field] || 'fill';
+  }
+
+  return {
+    clubs: clubs,
+    campaigns: raw.campaigns,
+    fieldPolicy: fieldPolicy,
+    matchPriority: raw.matchPriority || DEFAULT_MATCH_PRIORITY,
+    conversion: {
+      tag: raw.conversion?.tag || DEFAULT_CONVERSION_TAG,
+      removeCampaignTag: raw.conversion?.removeCampaignTag ?? true,
+      fieldMap: compileFieldMap(raw.conversion?.fieldMap)
+    },
+    prospectRules: compileProspectRules(raw.prospectRules, Object.keys(raw.campaigns)),
+    posRules: compilePosRules(raw.posRules),
+    checkins: compileCheckins(raw.checkins, Object.keys(raw.clubs)),
+    reconciliation: {
+      heal: raw.reconciliation?.heal ?? false
+    },
+    schedules: { ...DEFAULT_SCHEDULES, ...raw.schedules },
+    loadedAt: new Date().toISOString()
+  };
+}
+
+// Read, parse and validate the config file. Throws with every validation error listed.
+function readConfigFile() {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config ${CONFIG_PATH}: ${error.message}`);
+  }
+
+  const errors = validateConfig(raw);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config ${CONFIG_PATH}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  const config = normalizeConfig(raw);
+  for (const club of Object.values(config.clubs)) {
+    if (!club.ghlToken && !hasOAuthTokens(club.ghlLocationId)) {
+      log.warn('No GHL token set or OAuth install - GHL calls for this club will fail', { club: club.clubNumber, env: club.ghlTokenEnv });
+    }
+  }
+  return config;
+}
+
+// Current config (loaded on first use; throws if the file is invalid at startup)
+function getConfig() {
+  if (!current) {
+    current = readConfigFile();
+    log.info('Loaded config', { path: CONFIG_PATH, clubs: Object.keys(current.clubs) });
+  }
+  return current;
+}
+
+// Re-read the config file; on any error the previous config stays active
+function reloadConfig() {
+  try {
+    current = readConfigFile();
+    log.info('Reloaded config', { path: CONFIG_PATH, clubs: Object.keys(current.clubs) });
+  } catch (error) {
+    log.error('Rejected config change, keeping previous config', { path: CONFIG_PATH, error: error.message });
+    return false;
+  }
+  changeListeners.forEach(listener => listener(current));
+  return true;
+}
+
+// Call listener(config) after every successful reload
+function onConfigChange(listener) {
+  changeListeners.push(listener);
+}
+
+// Hot-reload: re-read the file whenever it changes on disk
+function watchConfig() {
+  fs.watchFile(CONFIG_PATH, { interval: CONFIG_WATCH_INTERVAL }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) reloadConfig();
+  });
+  log.info('Watching for changes', { path: CONFIG_PATH });
+}
+
+module.exports = {
+  CONFIG_PATH,
+  FIELD_POLICIES,
+  UPSERT_FIELDS,
+  MATCH_KEYS,
+  validateConfig,
+  getConfig,
+  reloadConfig,
+  onConfigChange,
+  watchConfig
+};
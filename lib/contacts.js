@@ -0,0 +1,438 @@
+const { ghlRequest } = require('./ghl');
+const { getConfig, UPSERT_FIELDS } = require('./config');
+const { normalizePhone } = require('./phone');
+const { applyFieldMap, TRANSFORMS } = require('./fieldMap');
+const { createLogger } = require('./logger');
+
+const log = createLogger('ghl');
+
+// GHL contact lookups, creation and non-destructive upsert, shared by the prospect and POS flows
+
+// GHL custom field key for ABC ID
+const ABC_ID_FIELD_KEY = 'abc_member_id';
+
+// Pull contact fields out of an ABC prospect/member record (checks nested and top-level shapes)
+function getContactFields(record) {
+  const personal = record.personal || {};
+  const email = record.email || personal.email || '';
+
+  return {
+    firstName: record.firstName || personal.firstName || '',
+    lastName: record.lastName || personal.lastName || '',
+    // Only use email if it looks valid
+    email: email.includes('@') ? email : '',
+    // ABC uses primaryPhone and mobilePhone in the personal object; GHL wants E.164
+    phone: normalizePhone(
+      personal.primaryPhone || personal.mobilePhone ||
+      record.primaryPhone || record.mobilePhone ||
+      record.homePhone || record.cellPhone
+    ),
+    abcMemberId: (record.memberId || record.id || '').toString()
+  };
+}
+
+// Current value of a custom field on a GHL contact
+function getCustomFieldValue(contact, key) {
+  const field = (contact.customFields || []).find(cf => cf.key === key);
+  return field?.value || '';
+}
+
+// Current value of the ABC ID custom field on a GHL contact
+function getContactAbcId(contact) {
+  return getCustomFieldValue(contact, ABC_ID_FIELD_KEY);
+}
+
+// Extra fields from the club's field map (config: fieldMap) for an ABC record
+function getMappedFields(record, clubNumber) {
+  const club = getConfig().clubs[clubNumber];
+  if (!club) return [];
+  return applyFieldMap(club.fieldMap, record, { clubNumber: club.clubNumber, name: club.name });
+}
+
+// GHL API: Search contacts by free-text query, keeping only those that pass matches(contact)
+// Returns a list (possibly empty), or null if the search failed
+async function searchGhlContacts(query, matches, locationId, token) {
+  try {
+    const data = await ghlRequest({
+      path: '/contacts/',
+      params: {
+        locationId: locationId,
+        query: query
+      },
+      locationId,
+      token
+    });
+
+    const contacts = (data.contacts || []).filter(matches);
+    // The same contact can come back more than once - dedupe by id
+    return contacts.filter((c, index) => contacts.findIndex(other => other.id === c.id) === index);
+  } catch (error) {
+    log.error('Error searching contacts', { action: 'search_contacts', error: error.data || error.message });
+    return null;
+  }
+}
+
+// How each dedupe key is searched for and confirmed (config: matchPriority)
+const CONTACT_MATCHERS = {
+  abc_id: {
+    value: fields => fields.abcMemberId,
+    query: abcId => abcId,
+    matches: abcId => c => getContactAbcId(c) === abcId
+  },
+  email: {
+    value: fields => fields.email,
+    query: email => email,
+    matches: email => c => c.email?.toLowerCase() === email.toLowerCase()
+  },
+  phone: {
+    value: fields => fields.phone,
+    // GHL's query matches on the national number, then we compare E.164 forms
+    query: phone => phone.replace(/^\+1/, ''),
+    matches: phone => c => normalizePhone(c.phone) === phone
+  }
+};
+
+// GHL API: Search for existing contact by email
+async function searchGhlContactByEmail(email, locationId, token) {
+  if (!email) return null;
+  const { query, matches } = CONTACT_MATCHERS.email;
+  const contacts = await searchGhlContacts(query(email), matches(email), locationId, token);
+  return contacts?.[0] || null;
+}
+
+// GHL API: Search for existing contacts by ABC ID (more than one means GHL has duplicates)
+async function searchGhlContactsByAbcId(abcId, locationId, token) {
+  if (!abcId) return [];
+  const { query, matches } = CONTACT_MATCHERS.abc_id;
+  return searchGhlContacts(query(abcId.toString()), matches(abcId.toString()), locationId, token);
+}
+
+// GHL API: Search for existing contact by ABC ID
+async function searchGhlContactByAbcId(abcId, locationId, token) {
+  const contacts = await searchGhlContactsByAbcId(abcId, locationId, token);
+  return contacts?.[0] || null;
+}
+
+// Find an existing GHL contact for an ABC record, trying each key in matchPriority order
+// (default ABC ID -> email -> phone). Returns one of:
+//   { contact, matchedBy }                      - exactly one contact matched
+//   { ambiguous: true, matchedBy, candidates }  - several contacts matched; don't guess
+//   { failed: true, matchedBy }                 - a GHL search failed; try again later
+//   null                                        - no existing contact
+async function findExistingContact(fields, locationId, token) {
+  const { matchPriority } = getConfig();
+
+  for (const key of matchPriority) {
+    const matcher = CONTACT_MATCHERS[key];
+    const value = matcher.value(fields);
+    if (!value) continue;
+
+    const contacts = await searchGhlContacts(matcher.query(value), matcher.matches(value), locationId, token);
+    if (!contacts) return { failed: true, matchedBy: key };
+    if (contacts.length === 1) return { contact: contacts[0], matchedBy: key };
+    if (contacts.length > 1) {
+      return { ambiguous: true, matchedBy: key, candidates: contacts.map(c => c.id) };
+    }
+  }
+
+  return null;
+}
+
+// GHL API: Create contact from an ABC record with the given tags (plus the club's mapped fields)
+// Returns the GHL response ({ contact }) or null if it couldn't be created
+async function createGhlContact(record, tags, locationId, token, clubNumber) {
+  const fields = getContactFields(record);
+
+  // Must have at least email or phone to create contact
+  if (!fields.email && !fields.phone) {
+    log.info('Skipping contact creation - no email or phone', { action: 'create_contact', outcome: 'skipped', memberId: fields.abcMemberId });
+    return null;
+  }
+
+  const contactData = {
+    locationId: locationId,
+    firstName: fields.firstName,
+    lastName: fields.lastName,
+    phone: fields.phone,
+    tags: tags,
+    customFields: [
+      {
+        key: ABC_ID_FIELD_KEY,
+        value: fields.abcMemberId
+      }
+    ]
+  };
+
+  if (fields.email) {
+    contactData.email = fields.email;
+  }
+
+  for (const { to, custom, value } of getMappedFields(record, clubNumber)) {
+    if (custom) {
+      contactData.customFields.push({ key: custom, value });
+    } else {
+      contactData[to] = value;
+    }
+  }
+
+  try {
+    const data = await ghlRequest({
+      method: 'post',
+      path: '/contacts/',
+      data: contactData,
+      locationId,
+      token
+    });
+
+    log.info('Created contact', {
+      action: 'create_contact',
+      outcome: 'created',
+      contactId: data.contact?.id,
+      memberId: fields.abcMemberId,
+      email: contactData.email,
+      phone: contactData.phone,
+      tags
+    });
+    return data;
+  } catch (error) {
+    log.error('Error creating contact', { action: 'create_contact', memberId: fields.abcMemberId, error: error.data || error.message });
+    return null;
+  }
+}
+
+// GHL API: Get a contact by ID (null if it couldn't be fetched)
+async function getGhlContact(contactId, locationId, token) {
+  try {
+    const data = await ghlRequest({
+      path: `/contacts/${contactId}`,
+      locationId,
+      token
+    });
+    return data.contact || null;
+  } catch (error) {
+    log.error('Error fetching contact', { action: 'get_contact', contactId, error: error.data || error.message });
+    return null;
+  }
+}
+
+// GHL API: Add tags to an existing contact (keeps the tags it already has)
+async function addTagsToGhlContact(contactId, tags, locationId, token) {
+  try {
+    return await ghlRequest({
+      method: 'post',
+      path: `/contacts/${contactId}/tags`,
+      data: { tags },
+      locationId,
+      token
+    });
+  } catch (error) {
+    log.error('Error adding tags to contact', { action: 'add_tags', contactId, tags, error: error.data || error.message });
+    return null;
+  }
+}
+
+// GHL API: Enroll a contact in a workflow
+async function addContactToWorkflow(contactId, workflowId, locationId, token) {
+  try {
+    return await ghlRequest({
+      method: 'post',
+      path: `/contacts/${contactId}/workflow/${workflowId}`,
+      data: {},
+      locationId,
+      token
+    });
+  } catch (error) {
+    log.error('Error adding contact to workflow', { action: 'add_to_workflow', contactId, workflowId, error: error.data || error.message });
+    return null;
+  }
+}
+
+// GHL returns dateOfBirth as a full timestamp - compare it as a date
+function currentMappedValue(contact, mapped) {
+  const value = (mapped.custom ? getCustomFieldValue(contact, mapped.custom) : contact[mapped.to]) || '';
+  return mapped.to === 'dateOfBirth' && value ? TRANSFORMS.date(value.toString()) : value.toString();
+}
+
+// GHL API: Remove tags from an existing contact (other tags are left alone)
+async function removeTagsFromGhlContact(contactId, tags, locationId, token) {
+  try {
+    return await ghlRequest({
+      method: 'delete',
+      path: `/contacts/${contactId}/tags`,
+      data: { tags },
+      locationId,
+      token
+    });
+  } catch (error) {
+    log.error('Error removing tags from contact', { action: 'remove_tags', contactId, tags, error: error.data || error.message });
+    return null;
+  }
+}
+
+// Work out which fields of an existing contact should change, per the field policy
+// (mapped fields carry their own policy)
+function planFieldChanges(contact, fields, fieldPolicy, mappedFields = []) {
+  const current = {
+    firstName: contact.firstName || '',
+    lastName: contact.lastName || '',
+    email: contact.email || '',
+    phone: normalizePhone(contact.phone) || contact.phone || '',
+    abcMemberId: getContactAbcId(contact)
+  };
+
+  const changes = [];
+  for (const field of UPSERT_FIELDS) {
+    const policy = fieldPolicy[field];
+    const value = fields[field];
+    if (!value || policy === 'never' || value === current[field]) continue;
+
+    if (!current[field]) {
+      changes.push({ field, change: 'filled', value });
+    } else if (policy === 'overwrite') {
+      changes.push({ field, change: 'overwritten', value });
+    }
+  }
+
+  for (const mapped of mappedFields) {
+    const currentValue = currentMappedValue(contact, mapped);
+    if (mapped.policy === 'never' || mapped.value === currentValue) continue;
+
+    if (!currentValue) {
+      changes.push({ field: mapped.to, custom: mapped.custom, change: 'filled', value: mapped.value });
+    } else if (mapped.policy === 'overwrite') {
+      changes.push({ field: mapped.to, custom: mapped.custom, change: 'overwritten', value: mapped.value });
+    }
+  }
+  return changes;
+}
+
+// Merge an ABC record into an existing GHL contact without losing anything already there:
+// tags are added (never replaced) and fields follow the per-field policy
+// Returns { contactId, addedTags, changedFields } or null if a GHL write failed
+async function upsertGhlContact(contact, record, tags, locationId, token, clubNumber) {
+  const { fieldPolicy } = getConfig();
+  const changes = planFieldChanges(contact, getContactFields(record), fieldPolicy, getMappedFields(record, clubNumber));
+  return writeContactChanges(contact, changes, tags, [], locationId, token);
+}
+
+// Apply planned field changes and tag additions/removals to an existing contact
+// Tags already on the contact aren't re-added; tags it doesn't have aren't removed
+// Returns { contactId, addedTags, removedTags, changedFields } or null if a GHL write failed
+async function writeContactChanges(contact, changes, tags, tagsToRemove, locationId, token) {
+  const existingTags = (contact.tags || []).map(t => t.toLowerCase());
+  const addedTags = tags.filter(tag => !existingTags.includes(tag.toLowerCase()));
+  const removedTags = tagsToRemove.filter(tag => existingTags.includes(tag.toLowerCase()));
+
+  if (changes.length > 0) {
+    const update = {};
+    for (const { field, custom, value } of changes) {
+      if (field === 'abcMemberId' || custom) {
+        update.customFields = update.customFields || [];
+        update.customFields.push({ key: custom || ABC_ID_FIELD_KEY, value });
+      } else {
+        update[field] = value;
+      }
+    }
+
+    try {
+      await ghlRequest({
+        method: 'put',
+        path: `/contacts/${contact.id}`,
+        data: update,
+        locationId,
+        token
+      });
+    } catch (error) {
+      log.error('Error updating contact', { action: 'update_contact', contactId: contact.id, error: error.data || error.message });
+      return null;
+    }
+  }
+
+  if (removedTags.length > 0) {
+    const untagged = await removeTagsFromGhlContact(contact.id, removedTags, locationId, token);
+    if (!untagged) return null;
+  }
+
+  if (addedTags.length > 0) {
+    const tagged = await addTagsToGhlContact(contact.id, addedTags, locationId, token);
+    if (!tagged) return null;
+  }
+
+  if (changes.length > 0 || addedTags.length > 0 || removedTags.length > 0) {
+    log.info('Updated contact', {
+      action: 'update_contact',
+      outcome: 'updated',
+      contactId: contact.id,
+      changedFields: changes.map(({ field, change }) => `${field} (${change})`),
+      addedTags,
+      removedTags
+    });
+  }
+
+  return {
+    contactId: contact.id,
+    addedTags: addedTags,
+    removedTags: removedTags,
+    changedFields: changes.map(({ field }) => field)
+  };
+}
+
+// Add and/or remove tags on a contact by ID, leaving its other tags and fields alone
+// Returns the same shape as upsertGhlContact, or null if the contact couldn't be fetched or written
+async function retagGhlContact(contactId, tags, tagsToRemove, locationId, token) {
+  const contact = await getGhlContact(contactId, locationId, token);
+  if (!contact) return null;
+  return writeContactChanges(contact, [], tags, tagsToRemove, locationId, token);
+}
+
+// Mark a synced prospect's GHL contact as converted to a member: swap the campaign tag for
+// the conversion tag and set the conversion fields (config: conversion)
+// Returns the same shape as upsertGhlContact, or null if the contact couldn't be fetched or written
+async function convertGhlContact(contactId, member, campaignTag, locationId, token) {
+  const { conversion } = getConfig();
+  const contact = await getGhlContact(contactId, locationId, token);
+  if (!contact) return null;
+
+  const mappedFields = applyFieldMap(conversion.fieldMap, member, {});
+  const changes = planFieldChanges(contact, {}, {}, mappedFields);
+  const tagsToRemove = conversion.removeCampaignTag && campaignTag ? [campaignTag] : [];
+  return writeContactChanges(contact, changes, [conversion.tag], tagsToRemove, locationId, token);
+}
+
+// Keep a member's visit fields up to date and add any milestone tags they reached
+// visitFields are mapped fields with their own policy (see getVisitFields in lib/checkins.js)
+// Returns the same shape as upsertGhlContact, or null if a GHL write failed
+async function updateGhlContactActivity(contact, visitFields, tags, locationId, token) {
+  const changes = planFieldChanges(contact, {}, {}, visitFields);
+  return writeContactChanges(contact, changes, tags, [], locationId, token);
+}
+
+// Ledger outcome for an upsert result
+function getUpsertOutcome(result) {
+  if (!result) return 'failed';
+  if (result.addedTags.length > 0) return 'tagged';
+  if (result.changedFields.length > 0) return 'updated';
+  return 'skipped-duplicate';
+}
+
+module.exports = {
+  ABC_ID_FIELD_KEY,
+  getContactFields,
+  getContactAbcId,
+  getMappedFields,
+  searchGhlContacts,
+  searchGhlContactByEmail,
+  searchGhlContactsByAbcId,
+  searchGhlContactByAbcId,
+  findExistingContact,
+  createGhlContact,
+  getGhlContact,
+  addTagsToGhlContact,
+  removeTagsFromGhlContact,
+  addContactToWorkflow,
+  upsertGhlContact,
+  retagGhlContact,
+  convertGhlContact,
+  updateGhlContactActivity,
+  getUpsertOutcome
+};
@@ -0,0 +1,113 @@
+const { getZonedParts } = require('./dates');
+
+// Minimal 5-field cron expressions - "minute hour day-of-month month day-of-week" - evaluated in
+// an IANA timezone, e.g. "0 3 * * *" is 3am club time every day
+// Supports *, numbers, ranges (1-5), steps (*/15, 0-30/10) and lists (1,15); no month / day names
+// Day-of-week is 0-7 (0 and 7 are Sunday); as in standard cron, when both day fields are
+// restricted a day matching either one runs
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day-of-week', min: 0, max: 7 }
+];
+
+// Never search further ahead than this for the next run (e.g. "0 0 31 2 *" never matches)
+const MAX_SEARCH_DAYS = 366;
+
+function parseNumber(text, field) {
+  if (!/^\d+$/.test(text)) throw new Error(`${field.name} "${text}" is not a number`);
+  const value = parseInt(text, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} ${value} is out of range ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+// Set of values one field allows
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseNumber(stepText, { ...field, min: 1 });
+
+    let start = field.min;
+    let end = field.max;
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseNumber(from, field);
+      end = to === undefined ? (stepText === undefined ? start : field.max) : parseNumber(to, field);
+      if (start > end) throw new Error(`${field.name} range ${range} runs backwards`);
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+
+  // Sunday is both 0 and 7
+  if (field.name === 'day-of-week' && values.has(7)) values.add(0);
+  return values;
+}
+
+// Parse an expression, throwing on anything invalid
+function parseCron(expression) {
+  const parts = typeof expression === 'string' ? expression.trim().split(/\s+/) : [];
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`cron "${expression}" must have 5 fields (minute hour day-of-month month day-of-week)`);
+  }
+
+  try {
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    return {
+      minute, hour, dayOfMonth, month, dayOfWeek,
+      anyDayOfMonth: parts[2] === '*',
+      anyDayOfWeek: parts[4] === '*'
+    };
+  } catch (error) {
+    throw new Error(`cron "${expression}": ${error.message}`);
+  }
+}
+
+// Error message for an invalid expression, or null
+function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function matchesDay(cron, { year, month, day }) {
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  const domMatch = cron.dayOfMonth.has(day);
+  const dowMatch = cron.dayOfWeek.has(weekday);
+  if (cron.anyDayOfMonth) return dowMatch;
+  if (cron.anyDayOfWeek) return domMatch;
+  return domMatch || dowMatch;
+}
+
+// The first matching minute strictly after `after`, or null if none within MAX_SEARCH_DAYS
+// Steps minute by minute within matching hours and an hour at a time otherwise, so DST
+// shifts are handled by reading the wall clock at each candidate instant
+function nextCronTime(expression, timeZone, after = new Date()) {
+  const cron = parseCron(expression);
+  let candidate = Math.floor(after.getTime() / 60000) * 60000 + 60000;
+  const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  while (candidate <= limit) {
+    const parts = getZonedParts(new Date(candidate), timeZone);
+    if (!cron.month.has(parts.month) || !matchesDay(cron, parts) || !cron.hour.has(parts.hour)) {
+      candidate += (60 - parts.minute) * 60000;
+      continue;
+    }
+    if (cron.minute.has(parts.minute)) return new Date(candidate);
+    candidate += 60000;
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  validateCron,
+  nextCronTime
+};
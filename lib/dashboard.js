@@ -0,0 +1,227 @@
+// Server-rendered HTML for the admin dashboard (/admin): per-club sync health, today's synced
+// prospects and POS buyers, skipped records and failures, and sync / dry-run buttons
+// Pages are built from plain data (see getDashboardData in server.js); every value is escaped
+
+// Plain-language labels for ledger outcomes and skip / failure reasons
+const LABELS = {
+  created: 'Created in GHL',
+  tagged: 'Tagged existing contact',
+  updated: 'Updated existing contact',
+  'skipped-duplicate': 'Already in GHL - nothing to change',
+  reversed: 'Return - tags reversed',
+  'no-contact': 'Not in GHL - left alone',
+  skipped: 'Skipped - cannot be synced',
+  wrong_campaign: 'Campaign not synced',
+  wrong_entry_source: 'Not a Fast Add',
+  wrong_salesperson: 'Salesperson not synced',
+  wrong_member_type: 'Membership type not synced',
+  wrong_age: 'Outside the age range (or no birth date)',
+  no_email: 'No email',
+  has_email: 'Has an email',
+  no_phone: 'No phone',
+  has_phone: 'Has a phone',
+  no_rule: 'No prospect rule for this club',
+  no_ghl_contact: 'No GHL contact with this ABC ID - not created for check-ins',
+  no_email_or_phone: 'No email or phone',
+  ambiguous_abc_id: 'Duplicate - several GHL contacts share the ABC ID',
+  ambiguous_email: 'Duplicate - several GHL contacts share the email',
+  ambiguous_phone: 'Duplicate - several GHL contacts share the phone',
+  member_lookup_failed: 'ABC member lookup failed',
+  checkin_history_failed: 'ABC check-in history lookup failed',
+  create_failed: 'GHL contact create failed',
+  update_failed: 'GHL contact update failed',
+  retag_failed: 'GHL tag change failed'
+};
+
+const HEALTH_LABELS = {
+  ok: 'Healthy',
+  unauthorized: 'GHL access revoked - reinstall the app or update the token',
+  failing: 'Last sync failed',
+  paused: 'Paused',
+  never: 'Not synced yet'
+};
+
+const STYLE = `
+  body { font-family: system-ui, sans-serif; margin: 1.5rem; color: #222; }
+  h1 { font-size: 1.4rem; } h2 { font-size: 1.2rem; margin-top: 2rem; } h3 { font-size: 1rem; }
+  table { border-collapse: collapse; margin: 0.5rem 0 1rem; font-size: 0.9rem; }
+  th, td { border: 1px solid #ddd; padding: 0.3rem 0.6rem; text-align: left; vertical-align: top; }
+  th { background: #f4f4f4; }
+  .health { font-weight: bold; padding: 0.1rem 0.5rem; border-radius: 3px; }
+  .ok { background: #d8f5d8; } .failing, .unauthorized { background: #f8d4d4; } .paused, .never { background: #f5ecd0; }
+  .muted { color: #777; } .error { color: #a00; }
+  form { display: inline; } button { margin-right: 0.5rem; }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function label(value) {
+  return LABELS[value] || value || '';
+}
+
+// 2024-01-01T17:05:00.000Z -> "2024-01-01 09:05" in the club's timezone
+function formatTime(iso, timeZone) {
+  if (!iso) return '-';
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(new Date(iso));
+  const part = type => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')} ${part('hour')}:${part('minute')}`;
+}
+
+function contactLink(row) {
+  if (!row.contactId) return '<span class="muted">-</span>';
+  return `<a href="${escapeHtml(row.contactUrl)}" target="_blank" rel="noopener">${escapeHtml(row.contactId)}</a>`;
+}
+
+// columns: [{ title, cell: row => html }]; cells are responsible for escaping
+function table(columns, rows, empty) {
+  if (rows.length === 0) return `<p class="muted">${escapeHtml(empty)}</p>`;
+  const head = columns.map(column => `<th>${escapeHtml(column.title)}</th>`).join('');
+  const body = rows.map(row => `<tr>${columns.map(column => `<td>${column.cell(row)}</td>`).join('')}</tr>`).join('\n');
+  return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function renderJobs(club) {
+  return table([
+    { title: 'Job', cell: job => escapeHtml(job.name) },
+    { title: 'Last successful sync', cell: job => escapeHtml(formatTime(job.lastSyncAt, club.timezone)) },
+    { title: 'Last run', cell: job => `${escapeHtml(formatTime(job.lastFinishedAt, club.timezone))} ${escapeHtml(job.lastOutcome || '')}` },
+    { title: 'Status', cell: job => escapeHtml(job.running ? `running (${job.runningFor})` : job.paused ? 'paused' : `next ${formatTime(job.nextRunAt, club.timezone)}`) },
+    { title: 'Last error', cell: job => job.lastError ? `<span class="error">${escapeHtml(job.lastError)}</span> <span class="muted">${escapeHtml(formatTime(job.lastErrorAt, club.timezone))}</span>` : '' }
+  ], club.jobs, 'No jobs registered for this club.');
+}
+
+function renderClub(club) {
+  const at = row => escapeHtml(formatTime(row.at, club.timezone));
+  const action = (path, text) =>
+    `<form method="post" action="${escapeHtml(path)}"><button type="submit">${escapeHtml(text)}</button></form>`;
+  const syncPath = `/admin/clubs/${encodeURIComponent(club.clubNumber)}/sync`;
+
+  return `<h2>${escapeHtml(club.name)} (${escapeHtml(club.clubNumber)})
+  <span class="health ${escapeHtml(club.health)}">${escapeHtml(HEALTH_LABELS[club.health] || club.health)}</span></h2>
+<p>${action(syncPath, 'Sync now')}${action(`${syncPath}?dryRun=true`, 'Dry run')}
+  <span class="muted">Today is ${escapeHtml(club.today)} (${escapeHtml(club.timezone)})</span></p>
+${renderJobs(club)}
+
+<h3>Synced prospects today (${club.prospects.length})</h3>
+${table([
+    { title: 'Time', cell: at },
+    { title: 'ABC member', cell: row => escapeHtml(row.memberId) },
+    { title: 'Campaign', cell: row => escapeHtml(row.campaign) },
+    { title: 'Rule', cell: row => escapeHtml(row.rule) },
+    { title: 'Result', cell: row => escapeHtml(label(row.outcome)) },
+    { title: 'GHL contact', cell: contactLink }
+  ], club.prospects, 'No prospects synced today.')}
+
+<h3>POS buyers today (${club.posBuyers.length})</h3>
+${table([
+    { title: 'Time', cell: at },
+    { title: 'ABC member', cell: row => escapeHtml(row.memberId) },
+    { title: 'Rule', cell: row => escapeHtml(row.rule) },
+    { title: 'Transaction', cell: row => escapeHtml(row.txId) },
+    { title: 'Result', cell: row => escapeHtml(label(row.outcome)) },
+    { title: 'GHL contact', cell: contactLink }
+  ], club.posBuyers, 'No POS rule purchases synced today.')}
+
+<h3>Skipped today (${club.skipped.length})</h3>
+${table([
+    { title: 'Time', cell: at },
+    { title: 'Type', cell: row => escapeHtml(row.kind) },
+    { title: 'ABC member', cell: row => escapeHtml(row.memberId) },
+    { title: 'Detail', cell: row => escapeHtml(row.detail) },
+    { title: 'Reason', cell: row => escapeHtml(label(row.reason)) }
+  ], club.skipped, 'Nothing skipped today.')}
+
+<h3>Failures (${club.failures.length})</h3>
+${table([
+    { title: 'Time', cell: at },
+    { title: 'Type', cell: row => escapeHtml(row.kind) },
+    { title: 'Record', cell: row => escapeHtml(row.id) },
+    { title: 'Reason', cell: row => escapeHtml(label(row.reason)) },
+    { title: 'Retry', cell: row => escapeHtml(row.status === 'dead'
+      ? `Gave up after ${row.attempts} attempts`
+      : `Attempt ${row.attempts} failed, next try ${formatTime(row.nextAttemptAt, club.timezone)}`) }
+  ], club.failures, 'No failures.')}`;
+}
+
+// The dashboard page
+function renderDashboard({ generatedAt, dryRun, clubs }) {
+  const notice = dryRun ? '<p><strong>DRY_RUN is on - syncs write nothing to GHL.</strong></p>' : '';
+  return page('ABC-GHL Sync', `<h1>ABC-GHL Sync</h1>
+${notice}<p class="muted">As of ${escapeHtml(generatedAt)} - <a href="/admin">refresh</a></p>
+${clubs.map(renderClub).join('\n')}`);
+}
+
+// Counts from a sync job summary, e.g. "fetched 12, created 2, failed 0" (per rule for POS)
+function describeSummary(summary) {
+  if (!summary) return '';
+  const counts = entries => entries
+    .filter(([, value]) => typeof value === 'number')
+    .map(([name, value]) => `${name} ${value}`)
+    .join(', ');
+  const rules = Object.entries(summary.rules || {}).map(([rule, ruleCounts]) => `${rule}: ${counts(Object.entries(ruleCounts))}`);
+  return [counts(Object.entries(summary)), ...rules].filter(Boolean).join(' | ');
+}
+
+// Result of the sync / dry-run buttons: each job's outcome, plus the planned actions for a dry run
+function renderSyncResult({ clubNumber, name, dryRun, jobs, plan }) {
+  const jobTable = table([
+    { title: 'Job', cell: job => escapeHtml(job.name) },
+    { title: 'Outcome', cell: job => job.ran
+      ? (job.error ? `<span class="error">failed: ${escapeHtml(job.error)}</span>` : 'ok')
+      : `<span class="muted">not run: ${escapeHtml(job.reason)}</span>` },
+    { title: 'Counts', cell: job => escapeHtml(describeSummary(job.result)) }
+  ], jobs, 'No sync jobs for this club.');
+
+  const planTable = !dryRun ? '' : `<h3>Planned changes (${plan.length})</h3>
+${table([
+    { title: 'Type', cell: record => escapeHtml(record.section) },
+    { title: 'Record', cell: record => escapeHtml(record.id) },
+    { title: 'Result', cell: record => escapeHtml(label(record.outcome)) },
+    { title: 'Reason', cell: record => escapeHtml(label(record.reason)) },
+    { title: 'GHL writes', cell: record => escapeHtml(record.actions.map(write => write.action).join(', ') || 'none') }
+  ], plan, 'Nothing would change.')}`;
+
+  const title = `${dryRun ? 'Dry run' : 'Sync'} - ${name} (${clubNumber})`;
+  return page(title, `<h1>${escapeHtml(title)}</h1>
+${dryRun ? '<p>Dry run - nothing was written to GHL or the ledger.</p>' : ''}
+${jobTable}
+${planTable}
+<p><a href="/admin">Back to the dashboard</a></p>`);
+}
+
+// A short message page (e.g. unknown club)
+function renderMessage(title, message) {
+  return page(title, `<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>
+<p><a href="/admin">Back to the dashboard</a></p>`);
+}
+
+module.exports = {
+  renderDashboard,
+  renderSyncResult,
+  renderMessage
+};
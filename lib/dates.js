@@ -0,0 +1,124 @@
+// Date helpers - all dates are plain YYYY-MM-DD strings
+// "Today" and midnight are always computed in a club's IANA timezone (e.g. America/Los_Angeles)
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Cached Intl formatters, one per timezone
+const formatters = {};
+
+function getFormatter(timeZone) {
+  if (!formatters[timeZone]) {
+    formatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+  return formatters[timeZone];
+}
+
+// Wall-clock parts of an instant in a timezone
+function getZonedParts(instant, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(instant)) {
+    if (type !== 'literal') parts[type] = parseInt(value, 10);
+  }
+  return parts;
+}
+
+// Check that a string is an IANA timezone this runtime knows about
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Get a date in YYYY-MM-DD format as seen in the given timezone
+function getDateInTimeZone(instant, timeZone) {
+  const { year, month, day } = getZonedParts(instant, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Replays of recorded traffic pin "today" to the recorded day (see lib/traffic.js)
+let pinnedToday = null;
+
+function pinToday(date) {
+  pinnedToday = date;
+}
+
+// Get today's date in YYYY-MM-DD format in the given timezone
+function getTodayDate(timeZone) {
+  return pinnedToday || getDateInTimeZone(new Date(), timeZone);
+}
+
+// Offset of the timezone from UTC (in ms) at a given instant
+function getTimeZoneOffset(instant, timeZone) {
+  const p = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// The UTC instant of local midnight at the start of a YYYY-MM-DD date in the timezone
+// The offset is re-checked at the candidate instant so DST transitions land correctly
+function getStartOfDay(date, timeZone) {
+  const wallClock = new Date(`${date}T00:00:00Z`).getTime();
+  const guess = wallClock - getTimeZoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - getTimeZoneOffset(new Date(guess), timeZone));
+}
+
+// Milliseconds from now until the next local midnight in the timezone
+function msUntilNextMidnight(timeZone, now = new Date()) {
+  const tomorrow = addDays(getDateInTimeZone(now, timeZone), 1);
+  return getStartOfDay(tomorrow, timeZone) - now;
+}
+
+// Check for a real calendar date in YYYY-MM-DD format
+function isValidDate(date) {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+}
+
+// Add (or subtract) whole days to a YYYY-MM-DD date
+function addDays(date, days) {
+  const parsed = new Date(`${date}T00:00:00Z`);
+  parsed.setUTCDate(parsed.getUTCDate() + days);
+  return parsed.toISOString().split('T')[0];
+}
+
+// Every date from start to end, inclusive
+function getDatesInRange(start, end) {
+  const dates = [];
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+// Format a range for ABC's *TimestampRange params ("start,end", or a single date)
+function toAbcRange({ start, end }) {
+  return start === end ? start : `${start},${end}`;
+}
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  getDateInTimeZone,
+  getTodayDate,
+  pinToday,
+  getStartOfDay,
+  msUntilNextMidnight,
+  isValidDate,
+  addDays,
+  getDatesInRange,
+  toAbcRange
+};
@@ -0,0 +1,80 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { createLogger } = require('./logger');
+
+const log = createLogger('dry-run');
+
+// Dry-run (plan) mode: the full pipeline runs with real ABC reads and GHL lookups, but GHL
+// writes and ledger changes are skipped and collected as a plan instead
+// On for everything with DRY_RUN=true, or per request via withDryRun() (e.g. /trigger?dryRun=true)
+const DRY_RUN = process.env.DRY_RUN === 'true';
+
+// Holds the plan for the dry run the current async call chain belongs to
+const storage = new AsyncLocalStorage();
+
+let fakeIds = 0;
+
+function isDryRun() {
+  return DRY_RUN || !!storage.getStore();
+}
+
+// Run fn as a dry run, returning its result and the planned actions per record
+async function withDryRun(fn) {
+  const plan = { records: [], writes: [] };
+  const result = await storage.run(plan, fn);
+  return { result, plan: plan.records, unattributedWrites: plan.writes };
+}
+
+// What a GHL write would do, in plain terms
+function describeWrite(method, path) {
+  const verb = method.toUpperCase();
+  if (verb === 'POST' && /^\/contacts\/?$/.test(path)) return 'create_contact';
+  if (verb === 'PUT' && /^\/contacts\/[^/]+$/.test(path)) return 'update_contact';
+  if (verb === 'POST' && /\/tags$/.test(path)) return 'add_tags';
+  if (verb === 'DELETE' && /\/tags$/.test(path)) return 'remove_tags';
+  if (verb === 'POST' && /\/workflow\/[^/]+$/.test(path)) return 'add_to_workflow';
+  if (verb === 'POST' && /^\/opportunities\/?$/.test(path)) return 'create_opportunity';
+  if (verb === 'PUT' && /^\/opportunities\//.test(path)) return 'update_opportunity';
+  return `${verb} ${path}`;
+}
+
+// Stand in for a GHL write: log it, add it to the plan, and return a response shaped like GHL's
+function planWrite({ method, path, data, locationId }) {
+  const action = describeWrite(method, path);
+  log.info('Would write to GHL', { action, method: method.toUpperCase(), path, locationId });
+  storage.getStore()?.writes.push({ action, method: method.toUpperCase(), path, data: data || null });
+  return fakeWriteResponse(action, data, 'dry-run');
+}
+
+// Response shaped like GHL's for a write that never happened (creates get a made-up id, prefix-N)
+function fakeWriteResponse(action, data, prefix) {
+  const id = `${prefix}-${++fakeIds}`;
+  if (action === 'create_contact') return { contact: { id, ...data } };
+  if (action === 'create_opportunity') return { opportunity: { id, ...data } };
+  return {};
+}
+
+// Stand in for a ledger write: the record's outcome plus the GHL writes made for it
+function planRecord(section, id, entry) {
+  const plan = storage.getStore();
+  if (!plan) return;
+
+  plan.records.push({
+    section,
+    id,
+    clubNumber: entry.clubNumber,
+    outcome: entry.outcome,
+    ghlContactId: entry.ghlContactId || null,
+    reason: entry.reason || null,
+    actions: plan.writes.splice(0)
+  });
+}
+
+module.exports = {
+  DRY_RUN,
+  isDryRun,
+  withDryRun,
+  describeWrite,
+  fakeWriteResponse,
+  planWrite,
+  planRecord
+};
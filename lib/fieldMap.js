@@ -0,0 +1,150 @@
+// Declarative ABC -> GHL field mapping (config: fieldMap, and clubs.<club>.fieldMap)
+// Each entry copies one value from an ABC member/prospect record onto the GHL contact:
+//   { "from": "personal.birthDate", "to": "dateOfBirth", "transform": "date" }
+//   { "from": ["agreement.salesPersonName", "salesPersonName"], "to": "custom.salesperson", "transform": "title" }
+//   { "from": "personal.gender", "to": "gender", "transform": "enum", "values": { "M": "male", "F": "female" } }
+//   { "from": "$club.name", "to": "custom.home_club" }
+// "from" is a dotted path (or a list of paths, first non-empty wins); "$club.*" reads the club config
+// "to" is a GHL standard field, or "custom.<key>" for a custom field
+// "policy" (fill / overwrite / never, default fill) controls updates to existing contacts, as fieldPolicy does
+// A club's entries are added to the global ones, replacing any global entry with the same "to"
+
+const STANDARD_TARGETS = [
+  'address1', 'city', 'state', 'postalCode', 'country',
+  'dateOfBirth', 'gender', 'source', 'companyName', 'website'
+];
+
+// Fields the contact builders already own - mapping onto them would fight with the upsert logic
+const RESERVED_TARGETS = ['firstName', 'lastName', 'email', 'phone', 'tags', 'customFields'];
+
+const CUSTOM_PREFIX = 'custom.';
+
+const TRANSFORMS = {
+  trim: value => value,
+  upper: value => value.toUpperCase(),
+  lower: value => value.toLowerCase(),
+  title: value => value.toLowerCase().replace(/(^|[\s'-])(\p{L})/gu, (match, sep, letter) => sep + letter.toUpperCase()),
+  // ABC sends "YYYY-MM-DD", "YYYY-MM-DDTHH:mm:ss" or "MM/DD/YYYY"; GHL wants YYYY-MM-DD
+  date: value => {
+    const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) return `${iso[1]}-${iso[2]}-${iso[3]}`;
+    const us = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/);
+    if (us) return `${us[3]}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+    return '';
+  },
+  datetime: value => {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? '' : date.toISOString();
+  },
+  enum: (value, entry) => {
+    const mapped = entry.values[value] ?? entry.values[value.toLowerCase()];
+    return mapped ?? entry.default ?? '';
+  }
+};
+
+const POLICIES = ['fill', 'overwrite', 'never'];
+
+function isTarget(to) {
+  if (typeof to !== 'string') return false;
+  if (to.startsWith(CUSTOM_PREFIX)) return /^[a-z0-9_]+$/i.test(to.slice(CUSTOM_PREFIX.length));
+  return STANDARD_TARGETS.includes(to);
+}
+
+// Validate a raw field map, returning a list of errors (empty if valid)
+// where is the config path used in messages, e.g. "fieldMap" or "clubs.31600.fieldMap"
+function validateFieldMap(entries, where) {
+  if (entries === undefined) return [];
+  if (!Array.isArray(entries)) return [`${where} must be a list of field mappings`];
+
+  const errors = [];
+  const targets = new Set();
+  entries.forEach((entry, index) => {
+    const at = `${where}[${index}]`;
+    if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${at}: must be an object`);
+      return;
+    }
+
+    const from = Array.isArray(entry.from) ? entry.from : [entry.from];
+    if (from.length === 0 || !from.every(p => typeof p === 'string' && /^\$?[\w]+(\.[\w]+)*$/.test(p))) {
+      errors.push(`${at}.from must be a dotted path (e.g. personal.birthDate) or a list of paths`);
+    }
+
+    if (RESERVED_TARGETS.includes(entry.to)) {
+      errors.push(`${at}.to: ${entry.to} is set by the sync itself and can't be mapped`);
+    } else if (!isTarget(entry.to)) {
+      errors.push(`${at}.to must be one of ${STANDARD_TARGETS.join(', ')} or custom.<key>`);
+    } else if (targets.has(entry.to)) {
+      errors.push(`${at}.to: ${entry.to} is mapped more than once`);
+    } else {
+      targets.add(entry.to);
+    }
+
+    if (entry.transform !== undefined && !TRANSFORMS[entry.transform]) {
+      errors.push(`${at}.transform must be one of ${Object.keys(TRANSFORMS).join(', ')}`);
+    }
+    if (entry.transform === 'enum') {
+      const values = entry.values;
+      if (values === null || typeof values !== 'object' || Array.isArray(values) || Object.keys(values).length === 0) {
+        errors.push(`${at}.values must map ABC values to GHL values for the enum transform`);
+      }
+    }
+
+    if (entry.policy !== undefined && !POLICIES.includes(entry.policy)) {
+      errors.push(`${at}.policy must be one of ${POLICIES.join(', ')}`);
+    }
+  });
+
+  return errors;
+}
+
+// Build runtime entries for a club: global entries, with club entries added / replacing by target
+function compileFieldMap(globalEntries = [], clubEntries = []) {
+  const byTarget = new Map();
+  for (const entry of [...globalEntries, ...clubEntries]) {
+    byTarget.set(entry.to, {
+      from: Array.isArray(entry.from) ? entry.from : [entry.from],
+      to: entry.to,
+      custom: entry.to.startsWith(CUSTOM_PREFIX) ? entry.to.slice(CUSTOM_PREFIX.length) : null,
+      transform: entry.transform || 'trim',
+      values: entry.values || {},
+      default: entry.default,
+      policy: entry.policy || 'fill'
+    });
+  }
+  return [...byTarget.values()];
+}
+
+// Read a dotted path; "$club.name" reads from the club config instead of the record
+function readPath(record, path, club) {
+  const [root, ...rest] = path.split('.');
+  let value = root === '$club' ? club : record?.[root];
+  for (const key of rest) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+// Mapped values for one ABC record: [{ to, custom, value, policy }] (empty values left out)
+function applyFieldMap(entries, record, club) {
+  const mapped = [];
+  for (const entry of entries) {
+    const raw = entry.from
+      .map(path => readPath(record, path, club))
+      .find(value => value !== null && value !== undefined && value.toString().trim() !== '');
+    if (raw === undefined) continue;
+
+    const value = TRANSFORMS[entry.transform](raw.toString().trim(), entry);
+    if (value) mapped.push({ to: entry.to, custom: entry.custom, value, policy: entry.policy });
+  }
+  return mapped;
+}
+
+module.exports = {
+  STANDARD_TARGETS,
+  TRANSFORMS,
+  validateFieldMap,
+  compileFieldMap,
+  applyFieldMap
+};
@@ -0,0 +1,223 @@
+const axios = require('axios');
+const { sleep, backoffDelay, parseRetryAfter, isRetryable } = require('./retry');
+const { isDryRun, planWrite } = require('./dryRun');
+const metrics = require('./metrics');
+const traffic = require('./traffic');
+const ghlAuth = require('./ghlAuth');
+const { createLogger } = require('./logger');
+
+const log = createLogger('ghl');
+
+// GHL API Config
+const GHL_API_BASE = process.env.GHL_API_BASE || 'https://services.leadconnectorhq.com';
+const GHL_API_VERSION = '2021-07-28';
+
+// GHL rate limits are per location: a burst limit (requests per interval) and a daily limit
+// Each location gets a token bucket sized to the burst limit, refilled continuously
+const GHL_BURST_LIMIT = parseInt(process.env.GHL_BURST_LIMIT, 10) || 100;
+const GHL_BURST_INTERVAL_MS = parseInt(process.env.GHL_BURST_INTERVAL_MS, 10) || 10000;
+const GHL_DAILY_LIMIT = parseInt(process.env.GHL_DAILY_LIMIT, 10) || 200000;
+
+// Retry policy for 429 / 5xx / network errors
+const GHL_MAX_ATTEMPTS = parseInt(process.env.GHL_MAX_ATTEMPTS, 10) || 4;
+const GHL_RETRY_BASE_MS = 1000;
+const GHL_RETRY_MAX_MS = 30000;
+
+// Give up on a request that hasn't answered after this long (counts as a network error)
+const GHL_TIMEOUT_MS = parseInt(process.env.GHL_TIMEOUT_MS, 10) || 30000;
+
+// Raised when a GHL request fails for good (non-retryable, retries exhausted, or out of budget)
+class GhlApiError extends Error {
+  constructor(message, { status, attempts, data } = {}) {
+    super(message);
+    this.name = 'GhlApiError';
+    this.status = status || null;
+    this.attempts = attempts || 0;
+    this.data = data || null;
+  }
+}
+
+// Request metrics (every attempt counts, retries included)
+const ghlRequests = metrics.counter('ghl_requests_total', 'GHL API requests by location, method, endpoint and HTTP status', ['location', 'method', 'endpoint', 'status']);
+const ghlLatency = metrics.histogram('ghl_request_duration_seconds', 'GHL API request latency', ['method', 'endpoint']);
+
+// "/contacts/abc123/tags" -> "/contacts/:id/tags", to keep label cardinality low
+function endpointLabel(path) {
+  return path
+    .replace(/^\/contacts\/(?!$)[^/]+/, '/contacts/:id')
+    .replace(/^\/opportunities\/(?!search$|$)[^/]+/, '/opportunities/:id');
+}
+
+// locationId -> bucket state
+const buckets = {};
+
+function getBucket(locationId) {
+  if (!buckets[locationId]) {
+    buckets[locationId] = {
+      tokens: GHL_BURST_LIMIT,
+      lastRefill: Date.now(),
+      day: new Date().toISOString().split('T')[0],
+      requestsToday: 0,
+      serverDailyRemaining: null,
+      throttled: 0,
+      retries: 0,
+      errors: 0
+    };
+  }
+  return buckets[locationId];
+}
+
+// Top up the bucket for time elapsed, and roll the daily counter over at UTC midnight
+function refill(bucket) {
+  const now = Date.now();
+  const rate = GHL_BURST_LIMIT / GHL_BURST_INTERVAL_MS;
+  bucket.tokens = Math.min(GHL_BURST_LIMIT, bucket.tokens + (now - bucket.lastRefill) * rate);
+  bucket.lastRefill = now;
+
+  const today = new Date(now).toISOString().split('T')[0];
+  if (bucket.day !== today) {
+    bucket.day = today;
+    bucket.requestsToday = 0;
+    bucket.serverDailyRemaining = null;
+  }
+}
+
+function dailyRemaining(bucket) {
+  const local = GHL_DAILY_LIMIT - bucket.requestsToday;
+  return bucket.serverDailyRemaining === null ? local : Math.min(local, bucket.serverDailyRemaining);
+}
+
+// Wait until the location has budget for one more request, then spend it
+async function acquire(locationId) {
+  const bucket = getBucket(locationId);
+  refill(bucket);
+
+  if (dailyRemaining(bucket) <= 0) {
+    throw new GhlApiError(`GHL daily request budget exhausted for location ${locationId}`);
+  }
+
+  while (bucket.tokens < 1) {
+    const waitMs = Math.ceil((1 - bucket.tokens) * GHL_BURST_INTERVAL_MS / GHL_BURST_LIMIT);
+    bucket.throttled++;
+    await sleep(waitMs);
+    refill(bucket);
+  }
+
+  bucket.tokens -= 1;
+  bucket.requestsToday++;
+  if (bucket.serverDailyRemaining !== null) bucket.serverDailyRemaining--;
+}
+
+// Trust GHL's own view of our remaining budget when it sends rate limit headers
+function syncFromHeaders(bucket, headers = {}) {
+  const burstRemaining = parseInt(headers['x-ratelimit-remaining'], 10);
+  if (!isNaN(burstRemaining)) bucket.tokens = Math.min(bucket.tokens, burstRemaining);
+
+  const daily = parseInt(headers['x-ratelimit-daily-remaining'], 10);
+  if (!isNaN(daily)) bucket.serverDailyRemaining = daily;
+}
+
+// Make a GHL API request on behalf of a location, rate limited and retried (POSTs only when safe, see isRetryable)
+// token is the club's static token - the location's OAuth token is used instead when it has one
+// (see lib/ghlAuth.js), refreshed and retried once if GHL answers 401
+// Returns the response body; throws GhlApiError on failure
+// In dry-run mode only reads go to GHL - writes are planned instead (see lib/dryRun.js)
+async function ghlRequest({ method = 'get', path, params, data, locationId, token }) {
+  if (method !== 'get' && isDryRun()) {
+    return planWrite({ method, path, data, locationId });
+  }
+
+  const bucket = getBucket(locationId);
+  const labels = { location: locationId, method: method.toUpperCase(), endpoint: endpointLabel(path) };
+  let reauthorized = false;
+
+  for (let attempt = 1; ; attempt++) {
+    await acquire(locationId);
+
+    // Replays answer from the recording - no tokens needed, and none refreshed
+    const auth = traffic.isReplaying() ? { token, source: 'static' } : await ghlAuth.getAccessToken(locationId, token);
+
+    const elapsed = metrics.startTimer();
+    try {
+      const response = await traffic.exchange('ghl', { method, path, params, data }, () =>
+        axios.request({
+          method: method,
+          url: `${GHL_API_BASE}${path}`,
+          headers: {
+            'Authorization': `Bearer ${auth.token}`,
+            'Version': GHL_API_VERSION,
+            'Content-Type': 'application/json'
+          },
+          params: params,
+          data: data,
+          timeout: GHL_TIMEOUT_MS
+        })
+      );
+      syncFromHeaders(bucket, response.headers);
+      ghlRequests.inc({ ...labels, status: response.status });
+      ghlLatency.observe({ method: labels.method, endpoint: labels.endpoint }, elapsed());
+      ghlAuth.handleAuthorized(locationId, auth.source);
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      syncFromHeaders(bucket, error.response?.headers);
+      ghlRequests.inc({ ...labels, status: status || 'network_error' });
+      ghlLatency.observe({ method: labels.method, endpoint: labels.endpoint }, elapsed());
+
+      // Expired or rotated token: refresh once and go again (doesn't count as a retry)
+      if (status === 401 && !reauthorized && !traffic.isReplaying()) {
+        reauthorized = true;
+        if (await ghlAuth.handleUnauthorized(locationId, auth.source)) {
+          attempt--;
+          continue;
+        }
+      }
+
+      if (!isRetryable(error, method) || attempt >= GHL_MAX_ATTEMPTS) {
+        bucket.errors++;
+        throw new GhlApiError(
+          `GHL ${method.toUpperCase()} ${path} failed after ${attempt} attempt(s): ${status ? `HTTP ${status}` : error.message}`,
+          { status, attempts: attempt, data: error.response?.data }
+        );
+      }
+
+      // On 429 the bucket is empty as far as GHL is concerned
+      if (status === 429) bucket.tokens = 0;
+
+      const retryAfter = status === 429 ? parseRetryAfter(error.response.headers?.['retry-after']) : null;
+      const delay = Math.min(retryAfter ?? backoffDelay(attempt, GHL_RETRY_BASE_MS, GHL_RETRY_MAX_MS), GHL_RETRY_MAX_MS * 4);
+      bucket.retries++;
+      log.warn('Request failed, retrying', {
+        method: method.toUpperCase(), path, status, error: status ? undefined : error.message,
+        attempt, maxRetries: GHL_MAX_ATTEMPTS - 1, delayMs: delay
+      });
+      await sleep(delay);
+    }
+  }
+}
+
+// Remaining budget per location, for the status endpoint
+function getBudgets() {
+  const budgets = {};
+  for (const [locationId, bucket] of Object.entries(buckets)) {
+    refill(bucket);
+    budgets[locationId] = {
+      burstRemaining: Math.floor(bucket.tokens),
+      burstLimit: GHL_BURST_LIMIT,
+      burstIntervalMs: GHL_BURST_INTERVAL_MS,
+      dailyRemaining: dailyRemaining(bucket),
+      dailyLimit: GHL_DAILY_LIMIT,
+      requestsToday: bucket.requestsToday,
+      throttledWaits: bucket.throttled,
+      retries: bucket.retries,
+      errors: bucket.errors
+    };
+  }
+  return budgets;
+}
+
+module.exports = {
+  GhlApiError,
+  ghlRequest,
+  getBudgets
+};
@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { createLogger } = require('./logger');
+
+const log = createLogger('ghl-auth');
+
+// GHL OAuth (marketplace app) tokens per location, with the clubs' static tokens as the fallback
+// Install: /oauth/install sends an admin to GHL to pick a location; GHL redirects back to
+// /oauth/callback with a code, which is exchanged here for that location's access + refresh tokens
+// Access tokens are refreshed shortly before they expire, and once more if GHL answers 401 anyway.
+// Refresh tokens are single-use, so every refresh stores the new pair straight away
+// A refresh GHL rejects means the app was uninstalled or access revoked: the location is flagged
+// (getAuthStatus, /oauth/status, the ghl_authorized metric) and falls back to its static token, if any,
+// until it is installed again. A static token GHL rejects is flagged the same way
+// The token file is shared with other processes (node cli.js backfill), so it is read again before
+// every refresh - one of them may already have used up the refresh token we hold
+const GHL_CLIENT_ID = process.env.GHL_CLIENT_ID;
+const GHL_CLIENT_SECRET = process.env.GHL_CLIENT_SECRET;
+const GHL_OAUTH_REDIRECT_URI = process.env.GHL_OAUTH_REDIRECT_URI;
+const GHL_OAUTH_SCOPES = process.env.GHL_OAUTH_SCOPES ||
+  'contacts.readonly contacts.write opportunities.readonly opportunities.write';
+const GHL_AUTHORIZE_URL = 'https://marketplace.gohighlevel.com/oauth/chooselocation';
+const GHL_TOKEN_URL = `${process.env.GHL_API_BASE || 'https://services.leadconnectorhq.com'}/oauth/token`;
+
+// Tokens are secrets - the file is written readable by its owner only
+const GHL_TOKEN_PATH = process.env.GHL_TOKEN_PATH || path.join(__dirname, '..', 'data', 'ghl-tokens.json');
+
+// Refresh this long before the access token expires
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+// Give up on a token request after this long (the refresh is retried on the next GHL call)
+const TOKEN_REQUEST_TIMEOUT_MS = 15 * 1000;
+
+// An install must come back to /oauth/callback within this long of /oauth/install
+const INSTALL_STATE_TTL_MS = 10 * 60 * 1000;
+
+// locationId -> { accessToken, refreshToken, expiresAt, scope, companyId, installedAt, refreshedAt,
+// status: 'active' | 'revoked', revokedAt, lastError }
+let tokens = null;
+
+// locationId -> in-flight refresh, so concurrent requests share one (a refresh token works only once)
+const refreshing = {};
+
+// OAuth state of each install started here -> when it expires; the callback must bring one back,
+// so a code can't be slipped in from an install someone else started
+const installStates = new Map();
+
+// locationId -> when GHL last rejected its static token (cleared once a request succeeds)
+const staticRejectedAt = {};
+
+function isOAuthConfigured() {
+  return !!(GHL_CLIENT_ID && GHL_CLIENT_SECRET && GHL_OAUTH_REDIRECT_URI);
+}
+
+function load({ reload = false } = {}) {
+  if (tokens && !reload) return tokens;
+
+  try {
+    tokens = JSON.parse(fs.readFileSync(GHL_TOKEN_PATH, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.error('Could not read token file - OAuth locations will use static tokens', { path: GHL_TOKEN_PATH, error: error.message });
+    }
+    tokens = {};
+  }
+  return tokens;
+}
+
+// Write via temp file + rename, as the ledger does
+function save() {
+  const tmpPath = `${GHL_TOKEN_PATH}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(GHL_TOKEN_PATH), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, GHL_TOKEN_PATH);
+  } catch (error) {
+    log.error('Error writing token file', { path: GHL_TOKEN_PATH, error: error.message });
+  }
+}
+
+function hasOAuthTokens(locationId) {
+  return load()[locationId]?.status === 'active';
+}
+
+// Where to send an admin to install the app on a location
+function getInstallUrl() {
+  const state = crypto.randomBytes(24).toString('hex');
+  installStates.set(state, Date.now() + INSTALL_STATE_TTL_MS);
+  const params = new URLSearchParams({
+    response_type: 'code',
+    redirect_uri: GHL_OAUTH_REDIRECT_URI,
+    client_id: GHL_CLIENT_ID,
+    scope: GHL_OAUTH_SCOPES,
+    state
+  });
+  return `${GHL_AUTHORIZE_URL}?${params}`;
+}
+
+// Whether state came from one of our install URLs and hasn't expired; each state works once
+function checkInstallState(state) {
+  for (const [pending, expiresAt] of installStates) {
+    if (expiresAt < Date.now()) installStates.delete(pending);
+  }
+  if (typeof state !== 'string' || !installStates.has(state)) return false;
+  installStates.delete(state);
+  return true;
+}
+
+// POST to GHL's token endpoint; returns its response body
+async function requestTokens(params) {
+  const body = new URLSearchParams({ client_id: GHL_CLIENT_ID, client_secret: GHL_CLIENT_SECRET, user_type: 'Location', ...params });
+  const response = await axios.post(GHL_TOKEN_URL, body.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' },
+    timeout: TOKEN_REQUEST_TIMEOUT_MS
+  });
+  return response.data;
+}
+
+function tokenEntry(data, previous) {
+  const now = new Date();
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token,
+    expiresAt: new Date(now.getTime() + (data.expires_in || 0) * 1000).toISOString(),
+    scope: data.scope || null,
+    companyId: data.companyId || previous?.companyId || null,
+    installedAt: previous?.installedAt || now.toISOString(),
+    refreshedAt: now.toISOString(),
+    status: 'active',
+    revokedAt: null,
+    lastError: null
+  };
+}
+
+// GHL's reason for rejecting a token request
+function describeTokenError(error) {
+  const data = error.response?.data;
+  return data?.error_description || data?.error || data?.message || error.message;
+}
+
+// Exchange the code from /oauth/callback for a location's tokens and store them
+// Only locations in allowedLocationIds (our clubs' GHL locations) are accepted
+// Returns the locationId; throws if GHL refuses the code or the install isn't for one of our locations
+async function installFromCode(code, allowedLocationIds) {
+  if (!isOAuthConfigured()) {
+    throw new Error('GHL OAuth is not configured (GHL_CLIENT_ID, GHL_CLIENT_SECRET, GHL_OAUTH_REDIRECT_URI)');
+  }
+
+  let data;
+  try {
+    data = await requestTokens({ grant_type: 'authorization_code', code, redirect_uri: GHL_OAUTH_REDIRECT_URI });
+  } catch (error) {
+    throw new Error(`GHL rejected the authorization code: ${describeTokenError(error)}`);
+  }
+
+  const locationId = data.locationId;
+  if (!locationId) {
+    throw new Error('GHL returned an agency-level token - install the app on a single location');
+  }
+  if (!allowedLocationIds.includes(locationId)) {
+    throw new Error(`Location ${locationId} isn't one of the configured clubs' GHL locations`);
+  }
+
+  load({ reload: true })[locationId] = tokenEntry(data, tokens[locationId]);
+  save();
+  delete staticRejectedAt[locationId];
+  log.info('Location authorized', { locationId, expiresAt: tokens[locationId].expiresAt });
+  return locationId;
+}
+
+function markRevoked(locationId, reason) {
+  const entry = load()[locationId];
+  if (!entry) return;
+  entry.status = 'revoked';
+  entry.revokedAt = new Date().toISOString();
+  entry.lastError = reason;
+  save();
+  log.error('GHL authorization revoked - install the app on this location again', { locationId, error: reason });
+}
+
+// True if the token file holds a different refresh token for the location than refreshToken,
+// i.e. another process has refreshed it (tokens is re-read)
+function refreshedElsewhere(locationId, refreshToken) {
+  const entry = load({ reload: true })[locationId];
+  return entry?.status === 'active' && entry.refreshToken !== refreshToken;
+}
+
+async function refreshTokens(locationId) {
+  const held = tokens[locationId].refreshToken;
+  if (refreshedElsewhere(locationId, held)) {
+    log.info('Access token was refreshed by another process', { locationId, expiresAt: tokens[locationId].expiresAt });
+    return true;
+  }
+
+  const entry = tokens[locationId];
+  if (entry?.status !== 'active') return false;
+  try {
+    const data = await requestTokens({ grant_type: 'refresh_token', refresh_token: entry.refreshToken });
+    load({ reload: true })[locationId] = tokenEntry(data, entry);
+    save();
+    log.info('Refreshed access token', { locationId, expiresAt: tokens[locationId].expiresAt });
+    return true;
+  } catch (error) {
+    const status = error.response?.status;
+    // Another process refreshed while our request was out - the token GHL rejected was just stale
+    if (refreshedElsewhere(locationId, entry.refreshToken)) {
+      log.info('Access token was refreshed by another process', { locationId, expiresAt: tokens[locationId].expiresAt });
+      return true;
+    }
+    // 400 / 401 from the token endpoint: the refresh token is no good (app uninstalled or access revoked)
+    if (status === 400 || status === 401) {
+      markRevoked(locationId, describeTokenError(error));
+    } else {
+      const reason = describeTokenError(error);
+      if (tokens[locationId]) tokens[locationId].lastError = reason;
+      log.error('Could not refresh access token - will try again', { locationId, status, error: reason });
+    }
+    return false;
+  }
+}
+
+// Refresh a location's tokens now; true if it got a new access token
+function refresh(locationId) {
+  if (!hasOAuthTokens(locationId)) return Promise.resolve(false);
+  if (!refreshing[locationId]) {
+    refreshing[locationId] = refreshTokens(locationId).finally(() => { delete refreshing[locationId]; });
+  }
+  return refreshing[locationId];
+}
+
+// Token to call GHL with for a location: its OAuth access token (refreshed first if about to
+// expire), or staticToken if the location has no working OAuth install
+// Returns { token, source: 'oauth' | 'static' }
+async function getAccessToken(locationId, staticToken) {
+  if (!hasOAuthTokens(locationId)) return { token: staticToken, source: 'static' };
+
+  if (Date.parse(tokens[locationId].expiresAt) - Date.now() < REFRESH_MARGIN_MS) {
+    // A failed refresh (GHL unreachable) still leaves the old token to try
+    await refresh(locationId);
+    if (!hasOAuthTokens(locationId)) return { token: staticToken, source: 'static' };
+  }
+  return { token: tokens[locationId].accessToken, source: 'oauth' };
+}
+
+// GHL answered 401 with a token from getAccessToken
+// Returns true if there is a fresh OAuth token to retry with; a rejected static token is flagged
+async function handleUnauthorized(locationId, source) {
+  if (source === 'oauth') return refresh(locationId);
+
+  if (!staticRejectedAt[locationId]) {
+    log.error('GHL rejected the static token', { locationId });
+  }
+  staticRejectedAt[locationId] = new Date().toISOString();
+  return false;
+}
+
+// A request with a token from getAccessToken succeeded
+function handleAuthorized(locationId, source) {
+  if (source === 'static' && staticRejectedAt[locationId]) {
+    delete staticRejectedAt[locationId];
+    log.info('GHL accepts the static token again', { locationId });
+  }
+}
+
+// Authorization state of a location, for /oauth/status and alerting
+// authorized is false when GHL has rejected whatever token the location would use
+function getAuthStatus(locationId, hasStaticToken) {
+  const entry = load()[locationId] || null;
+  const oauth = entry && {
+    status: entry.status,
+    expiresAt: entry.expiresAt,
+    refreshedAt: entry.refreshedAt,
+    installedAt: entry.installedAt,
+    revokedAt: entry.revokedAt,
+    lastError: entry.lastError,
+    scope: entry.scope
+  };
+  const source = hasOAuthTokens(locationId) ? 'oauth' : hasStaticToken ? 'static' : 'none';
+  return {
+    source,
+    authorized: source === 'oauth' || (source === 'static' && !staticRejectedAt[locationId]),
+    revoked: entry?.status === 'revoked',
+    staticTokenRejectedAt: staticRejectedAt[locationId] || null,
+    oauth
+  };
+}
+
+module.exports = {
+  isOAuthConfigured,
+  hasOAuthTokens,
+  getInstallUrl,
+  checkInstallState,
+  installFromCode,
+  getAccessToken,
+  handleUnauthorized,
+  handleAuthorized,
+  getAuthStatus
+};
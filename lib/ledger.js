@@ -0,0 +1,318 @@
+const fs = require('fs');
+const path = require('path');
+const { isDryRun, planRecord } = require('./dryRun');
+const { createLogger } = require('./logger');
+
+const log = createLogger('ledger');
+
+// Persistent sync ledger (survives restarts and days)
+// Stored as a single JSON file, rewritten atomically on every change
+// In dry-run mode nothing is changed - records are added to the dry-run plan instead
+const LEDGER_PATH = process.env.LEDGER_PATH || path.join(__dirname, '..', 'data', 'sync-ledger.json');
+
+// Entries older than this are pruned by the daily maintenance job
+const LEDGER_RETENTION_DAYS = parseInt(process.env.LEDGER_RETENTION_DAYS, 10) || 90;
+
+// Allowed outcomes for a ledger entry
+// "ambiguous" means several GHL contacts matched and we refused to guess
+// "reversed" is a POS return that was matched back to (and undid) an earlier sale
+// "no-contact" is a check-in by a member with no GHL contact (check-ins never create one)
+// "skipped" is a record that can never be synced as it is (e.g. a prospect with no email or phone)
+const OUTCOMES = ['created', 'tagged', 'updated', 'skipped-duplicate', 'ambiguous', 'reversed', 'no-contact', 'skipped', 'failed'];
+
+let state = null;
+
+function emptyState() {
+  return {
+    prospects: {},
+    posTransactions: {},
+    conversions: {},
+    checkins: {},
+    retryQueue: {},
+    cursors: {}
+  };
+}
+
+// Load ledger from disk (once, lazily)
+function load() {
+  if (state) return state;
+
+  try {
+    const raw = fs.readFileSync(LEDGER_PATH, 'utf8');
+    state = migrate({ ...emptyState(), ...JSON.parse(raw) });
+    log.info('Loaded ledger', {
+      path: LEDGER_PATH,
+      prospects: Object.keys(state.prospects).length,
+      posTransactions: Object.keys(state.posTransactions).length
+    });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      log.error('Could not read ledger - starting with an empty one', { path: LEDGER_PATH, error: error.message });
+    }
+    state = emptyState();
+  }
+
+  return state;
+}
+
+// Older ledgers kept swim sales under swimTransactions (keyed by txId) and a "swim:" cursor
+function migrate(data) {
+  if (data.swimTransactions) {
+    for (const [txId, entry] of Object.entries(data.swimTransactions)) {
+      data.posTransactions[posKey(txId, 'swim')] = { ...entry, txId, rule: 'swim' };
+    }
+    delete data.swimTransactions;
+  }
+
+  for (const [name, cursor] of Object.entries(data.cursors)) {
+    if (name.startsWith('swim:')) {
+      data.cursors[name.replace('swim:', 'pos:')] = cursor;
+      delete data.cursors[name];
+    }
+  }
+
+  return data;
+}
+
+// Write ledger to disk via temp file + rename so a crash never leaves a half-written file
+function save() {
+  const tmpPath = `${LEDGER_PATH}.tmp`;
+
+  try {
+    fs.mkdirSync(path.dirname(LEDGER_PATH), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpPath, LEDGER_PATH);
+  } catch (error) {
+    log.error('Error writing ledger', { path: LEDGER_PATH, error: error.message });
+  }
+}
+
+// Insert or update an entry in one of the ledger sections
+function record(section, id, { clubNumber, outcome, ghlContactId, reason, ...extra }) {
+  if (!OUTCOMES.includes(outcome)) {
+    throw new Error(`Invalid ledger outcome "${outcome}"`);
+  }
+
+  const entries = load()[section];
+  const key = id.toString();
+  const now = new Date().toISOString();
+  const existing = entries[key];
+
+  const entry = {
+    ...extra,
+    clubNumber: clubNumber,
+    outcome: outcome,
+    ghlContactId: ghlContactId || existing?.ghlContactId || null,
+    reason: reason || null,
+    attempts: (existing?.attempts || 0) + 1,
+    firstSeenAt: existing?.firstSeenAt || now,
+    updatedAt: now
+  };
+
+  if (isDryRun()) {
+    planRecord(section, key, entry);
+    return entry;
+  }
+
+  entries[key] = entry;
+  save();
+  return entry;
+}
+
+// ABC memberId -> prospect sync entry
+function getProspect(memberId) {
+  if (memberId === undefined || memberId === null) return null;
+  return load().prospects[memberId.toString()] || null;
+}
+
+function recordProspect(memberId, entry) {
+  return record('prospects', memberId, entry);
+}
+
+// Add details to an existing entry without counting an attempt
+function update(section, id, fields) {
+  const entry = load()[section][id.toString()];
+  if (!entry) return null;
+  if (isDryRun()) return { ...entry, ...fields };
+
+  Object.assign(entry, fields, { updatedAt: new Date().toISOString() });
+  save();
+  return entry;
+}
+
+// e.g. opportunity stage
+function updateProspect(memberId, fields) {
+  return update('prospects', memberId, fields);
+}
+
+// POS transactionId + rule name -> POS sync entry (one transaction can match several rules)
+function posKey(txId, ruleName) {
+  return `${txId}:${ruleName}`;
+}
+
+function getPosTransaction(txId, ruleName) {
+  if (txId === undefined || txId === null) return null;
+  return load().posTransactions[posKey(txId, ruleName)] || null;
+}
+
+function recordPosTransaction(txId, ruleName, entry) {
+  return record('posTransactions', posKey(txId, ruleName), { ...entry, txId: txId.toString(), rule: ruleName });
+}
+
+// e.g. marking a sale as reversed by a later return
+function updatePosTransaction(txId, ruleName, fields) {
+  return update('posTransactions', posKey(txId, ruleName), fields);
+}
+
+// ABC memberId -> prospect-to-member conversion entry
+function getConversion(memberId) {
+  if (memberId === undefined || memberId === null) return null;
+  return load().conversions[memberId.toString()] || null;
+}
+
+function recordConversion(memberId, entry) {
+  return record('conversions', memberId, entry);
+}
+
+// ABC memberId -> check-in activity entry (visit stats, see lib/checkins.js)
+function getCheckin(memberId) {
+  if (memberId === undefined || memberId === null) return null;
+  return load().checkins[memberId.toString()] || null;
+}
+
+function recordCheckin(memberId, entry) {
+  return record('checkins', memberId, entry);
+}
+
+// e.g. the 30-day visit count last written to GHL
+function updateCheckin(memberId, fields) {
+  return update('checkins', memberId, fields);
+}
+
+// Entries of a section as [{ id, ...entry }], optionally filtered
+function list(section, predicate = () => true) {
+  return Object.entries(load()[section])
+    .map(([id, entry]) => ({ id, ...entry }))
+    .filter(predicate);
+}
+
+function listProspects(predicate) {
+  return list('prospects', predicate);
+}
+
+function listPosTransactions(predicate) {
+  return list('posTransactions', predicate);
+}
+
+function listConversions(predicate) {
+  return list('conversions', predicate);
+}
+
+function listCheckins(predicate) {
+  return list('checkins', predicate);
+}
+
+// Failed items waiting to be retried (see lib/retryQueue.js), keyed e.g. "prospect:123"
+function getRetryItem(key) {
+  return load().retryQueue[key] || null;
+}
+
+function setRetryItem(key, item) {
+  if (isDryRun()) return item;
+  load().retryQueue[key] = item;
+  save();
+  return item;
+}
+
+function removeRetryItem(key) {
+  const queue = load().retryQueue;
+  if (!queue[key]) return false;
+  if (isDryRun()) return true;
+  delete queue[key];
+  save();
+  return true;
+}
+
+function listRetryItems(predicate = () => true) {
+  return Object.entries(load().retryQueue)
+    .map(([key, item]) => ({ key, ...item }))
+    .filter(predicate);
+}
+
+// Last successful poll per job (e.g. "prospects:31601", "pos:31600" or "checkins:31601" -> { date, timestamp })
+function getCursor(name) {
+  return load().cursors[name] || null;
+}
+
+function setCursor(name, date) {
+  if (isDryRun()) return;
+  load().cursors[name] = {
+    date: date,
+    timestamp: new Date().toISOString()
+  };
+  save();
+}
+
+// Count entries, optionally only those touched since a given ISO timestamp
+function counts(since) {
+  const { prospects, posTransactions, conversions, checkins } = load();
+  const countSection = entries => Object.values(entries)
+    .filter(e => !since || e.updatedAt >= since).length;
+
+  return {
+    prospects: countSection(prospects),
+    posTransactions: countSection(posTransactions),
+    conversions: countSection(conversions),
+    checkins: countSection(checkins)
+  };
+}
+
+// Drop entries that haven't been touched within the retention window
+// (a member whose check-in entry goes is picked up again from ABC's own visit count)
+function prune() {
+  if (isDryRun()) return 0;
+  const data = load();
+  const cutoff = new Date(Date.now() - LEDGER_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  let removed = 0;
+
+  for (const section of ['prospects', 'posTransactions', 'conversions', 'checkins']) {
+    for (const [key, entry] of Object.entries(data[section])) {
+      if (entry.updatedAt < cutoff) {
+        delete data[section][key];
+        removed++;
+      }
+    }
+  }
+
+  if (removed > 0) save();
+  log.info('Pruned old entries', { action: 'prune', removed, retentionDays: LEDGER_RETENTION_DAYS });
+  return removed;
+}
+
+module.exports = {
+  LEDGER_PATH,
+  OUTCOMES,
+  getProspect,
+  recordProspect,
+  updateProspect,
+  getPosTransaction,
+  recordPosTransaction,
+  updatePosTransaction,
+  getConversion,
+  recordConversion,
+  getCheckin,
+  recordCheckin,
+  updateCheckin,
+  listProspects,
+  listPosTransactions,
+  listConversions,
+  listCheckins,
+  getRetryItem,
+  setRetryItem,
+  removeRetryItem,
+  listRetryItems,
+  getCursor,
+  setCursor,
+  counts,
+  prune
+};
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { isPiiField, maskField, maskFreeText } = require('./redact');
+
+// Structured logging - one JSON object per line, info and below on stdout, warn and error on stderr:
+//   {"time":"...","level":"info","component":"sync","msg":"Prospect synced","cycleId":"cycle-1f3a9c02",
+//    "job":"prospects:31600","recordId":"rec-7b2e4d10","club":"31600","memberId":"123","outcome":"created","durationMs":412}
+// Common fields: club, job, memberId, txId, action, outcome, durationMs (and reason / error where it helps)
+// cycleId (one per poll cycle or job run) and recordId (one per record synced) come from the async
+// context, so every line one run or one record produced can be pulled up together
+//
+// LOG_LEVEL: debug | info (default) | warn | error
+// LOG_FORMAT: json (default) | text - "[SYNC] Prospect synced club=31600 ..." for reading locally
+// LOG_PII: redact (default, masked as in debug output) | hash (stable short hash, so one person's
+// lines can still be matched up) | plain (only for local debugging)
+// error fields (often an API's error body) are free text too - unless plain, emails and phone
+// numbers in them are masked
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+const LOG_PII = ['hash', 'plain'].includes(process.env.LOG_PII) ? process.env.LOG_PII : 'redact';
+
+// Correlation fields for the current async call chain
+const context = new AsyncLocalStorage();
+
+function newId(prefix) {
+  return `${prefix}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Run fn with fields added to every line it logs (on top of any outer context)
+function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+// Run fn as one run of a job - a new cycleId, unless it is part of a larger cycle (e.g. a full poll)
+function withCycle(job, fn) {
+  return withLogContext({ cycleId: context.getStore()?.cycleId || newId('cycle'), job }, fn);
+}
+
+// Run fn as the sync of one record, under a new recordId
+function withRecord(fields, fn) {
+  return withLogContext({ recordId: newId('rec'), ...fields }, fn);
+}
+
+function hashValue(value) {
+  const digest = crypto.createHash('sha256').update(String(value).trim().toLowerCase()).digest('hex');
+  return `#${digest.slice(0, 12)}`;
+}
+
+function cleanValue(key, value) {
+  if (value instanceof Error) return value.message;
+  if (Array.isArray(value)) return value.map(item => cleanValue(key, item));
+  if (value && typeof value === 'object') return cleanFields(value);
+  if (LOG_PII === 'plain' || !isPiiField(key) || value === null || value === undefined || value === '') return value;
+  return LOG_PII === 'hash' ? hashValue(value) : maskField(key, value);
+}
+
+// An error field: PII fields as anywhere else, and masked emails / phones in its text
+function cleanError(value) {
+  if (LOG_PII === 'plain') return cleanValue('error', value);
+  if (value instanceof Error) return maskFreeText(value.message);
+  if (typeof value === 'string') return maskFreeText(value);
+  if (Array.isArray(value)) return value.map(cleanError);
+  if (!value || typeof value !== 'object') return value;
+
+  const clean = {};
+  for (const [key, inner] of Object.entries(value)) {
+    if (inner !== undefined) clean[key] = isPiiField(key) ? cleanValue(key, inner) : cleanError(inner);
+  }
+  return clean;
+}
+
+function cleanFields(fields) {
+  const clean = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) clean[key] = key === 'error' ? cleanError(value) : cleanValue(key, value);
+  }
+  return clean;
+}
+
+function formatText({ time, level, component, msg, ...fields }) {
+  const pairs = Object.entries(fields)
+    .map(([key, value]) => `${key}=${typeof value === 'object' && value !== null ? JSON.stringify(value) : value}`);
+  return [time, level.toUpperCase(), `[${component.toUpperCase()}]`, msg, ...pairs].join(' ');
+}
+
+function write(level, component, msg, fields) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    msg,
+    ...cleanFields({ ...context.getStore(), ...fields })
+  };
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write((LOG_FORMAT === 'text' ? formatText(entry) : JSON.stringify(entry)) + '\n');
+}
+
+// Logger for one part of the service; each method takes a message and optional fields
+function createLogger(component) {
+  return {
+    debug: (msg, fields = {}) => write('debug', component, msg, fields),
+    info: (msg, fields = {}) => write('info', component, msg, fields),
+    warn: (msg, fields = {}) => write('warn', component, msg, fields),
+    error: (msg, fields = {}) => write('error', component, msg, fields)
+  };
+}
+
+module.exports = {
+  LOG_LEVEL,
+  LOG_FORMAT,
+  LOG_PII,
+  createLogger,
+  withLogContext,
+  withCycle,
+  withRecord
+};
@@ -0,0 +1,117 @@
+// Minimal Prometheus metrics registry (text exposition format, served at /metrics)
+// Counters, gauges and histograms with labels - enough for Grafana dashboards and alerts
+// without pulling in a client library
+
+const PREFIX = 'abc_ghl_sync_';
+
+// Latency buckets in seconds, for API requests and poll jobs
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// Stable key for a label set, and its rendered form
+function labelKey(labelNames, labels = {}) {
+  return labelNames.map(name => `${name}="${escapeLabel(labels[name] ?? '')}"`).join(',');
+}
+
+function formatLine(name, key, value) {
+  return `${name}${key ? `{${key}}` : ''} ${value}`;
+}
+
+function define(type, name, help, labelNames, extra = {}) {
+  const metric = { type, name: PREFIX + name, help, labelNames, values: new Map(), ...extra };
+  registry.push(metric);
+  return metric;
+}
+
+function counter(name, help, labelNames = []) {
+  const metric = define('counter', name, help, labelNames);
+  return {
+    inc(labels, value = 1) {
+      const key = labelKey(labelNames, labels);
+      metric.values.set(key, (metric.values.get(key) || 0) + value);
+    }
+  };
+}
+
+// collect(gauge) (optional) is called at scrape time to set current values
+// reset() drops every series, for a collect whose label values can change (no stale series left behind)
+function gauge(name, help, labelNames = [], collect = null) {
+  const metric = define('gauge', name, help, labelNames);
+  const handle = {
+    set(labels, value) {
+      metric.values.set(labelKey(labelNames, labels), value);
+    },
+    reset() {
+      metric.values.clear();
+    }
+  };
+  if (collect) metric.collect = () => collect(handle);
+  return handle;
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const metric = define('histogram', name, help, labelNames, { buckets });
+  return {
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      let series = metric.values.get(key);
+      if (!series) {
+        series = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        metric.values.set(key, series);
+      }
+      buckets.forEach((bound, i) => { if (value <= bound) series.counts[i]++; });
+      series.sum += value;
+      series.count++;
+    }
+  };
+}
+
+// Seconds since start (from process.hrtime.bigint())
+function secondsSince(start) {
+  return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+function startTimer() {
+  const start = process.hrtime.bigint();
+  return () => secondsSince(start);
+}
+
+// Everything in Prometheus text format
+function render() {
+  const lines = [];
+  for (const metric of registry) {
+    if (metric.collect) metric.collect();
+
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    for (const [key, value] of metric.values) {
+      if (metric.type !== 'histogram') {
+        lines.push(formatLine(metric.name, key, value));
+        continue;
+      }
+      metric.buckets.forEach((bound, i) => {
+        const le = `le="${bound}"`;
+        lines.push(formatLine(`${metric.name}_bucket`, key ? `${key},${le}` : le, value.counts[i]));
+      });
+      const inf = 'le="+Inf"';
+      lines.push(formatLine(`${metric.name}_bucket`, key ? `${key},${inf}` : inf, value.count));
+      lines.push(formatLine(`${metric.name}_sum`, key, value.sum));
+      lines.push(formatLine(`${metric.name}_count`, key, value.count));
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  startTimer,
+  render
+};
@@ -0,0 +1,206 @@
+const { ghlRequest } = require('./ghl');
+const { createLogger } = require('./logger');
+
+const log = createLogger('ghl');
+
+// GHL opportunities for synced prospects (config: campaigns.<campaign>.opportunity)
+// Pipelines belong to a GHL location, so pipeline/stage IDs are given per club:
+//   "opportunity": {
+//     "source": "ABC Fast Add",
+//     "monetaryValue": 99,
+//     "pipelines": { "31600": { "pipelineId": "...", "stageId": "...", "wonStageId": "...", "lostStageId": "..." } },
+//     "onConversion": "won",
+//     "onPosSale": { "rules": ["swim"], "status": "won" }
+//   }
+// stageId is where new prospects land; onConversion / onPosSale move the opportunity to the
+// won or lost stage (and status) when the prospect signs an agreement or buys something
+
+const STATUSES = ['won', 'lost'];
+const DEFAULT_SOURCE = 'ABC Fast Add';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+// Validate a campaign's opportunity settings, returning a list of errors (empty if valid)
+function validateOpportunity(opportunity, where, clubNumbers, ruleNames) {
+  if (opportunity === undefined) return [];
+  if (!isPlainObject(opportunity)) return [`${where} must be an object`];
+
+  const errors = [];
+  if (opportunity.source !== undefined && !isNonEmptyString(opportunity.source)) {
+    errors.push(`${where}.source must be a non-empty string`);
+  }
+  if (opportunity.monetaryValue !== undefined && (typeof opportunity.monetaryValue !== 'number' || opportunity.monetaryValue < 0)) {
+    errors.push(`${where}.monetaryValue must be a non-negative number`);
+  }
+
+  const transitions = [];
+  if (opportunity.onConversion !== undefined) {
+    if (!STATUSES.includes(opportunity.onConversion)) {
+      errors.push(`${where}.onConversion must be one of ${STATUSES.join(', ')}`);
+    } else {
+      transitions.push(opportunity.onConversion);
+    }
+  }
+  if (opportunity.onPosSale !== undefined) {
+    const onPosSale = opportunity.onPosSale;
+    if (!isPlainObject(onPosSale) || !Array.isArray(onPosSale.rules) || onPosSale.rules.length === 0) {
+      errors.push(`${where}.onPosSale.rules must list at least one POS rule`);
+    } else {
+      onPosSale.rules
+        .filter(rule => !ruleNames.includes(rule))
+        .forEach(rule => errors.push(`${where}.onPosSale.rules: "${rule}" is not a configured POS rule`));
+    }
+    if (!STATUSES.includes(onPosSale?.status)) {
+      errors.push(`${where}.onPosSale.status must be one of ${STATUSES.join(', ')}`);
+    } else {
+      transitions.push(onPosSale.status);
+    }
+  }
+
+  if (!isPlainObject(opportunity.pipelines) || Object.keys(opportunity.pipelines).length === 0) {
+    errors.push(`${where}.pipelines must map at least one club to a pipeline`);
+    return errors;
+  }
+  for (const [clubNumber, pipeline] of Object.entries(opportunity.pipelines)) {
+    const at = `${where}.pipelines.${clubNumber}`;
+    if (!clubNumbers.includes(clubNumber)) {
+      errors.push(`${at}: "${clubNumber}" is not a configured club`);
+    }
+    if (!isPlainObject(pipeline)) {
+      errors.push(`${at}: must be an object`);
+      continue;
+    }
+    for (const key of ['pipelineId', 'stageId']) {
+      if (!isNonEmptyString(pipeline[key])) errors.push(`${at}.${key} is required`);
+    }
+    for (const status of transitions) {
+      if (!isNonEmptyString(pipeline[`${status}StageId`])) {
+        errors.push(`${at}.${status}StageId is required when an opportunity can be marked ${status}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Runtime settings for one campaign at one club (null if the campaign has no pipeline there)
+function getOpportunitySettings(opportunity, clubNumber) {
+  const pipeline = opportunity?.pipelines?.[clubNumber];
+  if (!pipeline) return null;
+
+  return {
+    pipelineId: pipeline.pipelineId,
+    stageId: pipeline.stageId,
+    stages: { won: pipeline.wonStageId || null, lost: pipeline.lostStageId || null },
+    source: opportunity.source || DEFAULT_SOURCE,
+    monetaryValue: opportunity.monetaryValue || 0,
+    onConversion: opportunity.onConversion || null,
+    onPosSale: opportunity.onPosSale || null
+  };
+}
+
+// GHL API: Find a contact's opportunity in a pipeline
+// Returns the opportunity, null if there is none, or { failed: true } if the search failed
+async function findOpportunity(contactId, pipelineId, locationId, token) {
+  try {
+    const data = await ghlRequest({
+      path: '/opportunities/search',
+      params: {
+        location_id: locationId,
+        contact_id: contactId,
+        pipeline_id: pipelineId
+      },
+      locationId,
+      token
+    });
+    return (data.opportunities || [])[0] || null;
+  } catch (error) {
+    log.error('Error searching opportunities', { action: 'search_opportunities', contactId, error: error.data || error.message });
+    return { failed: true };
+  }
+}
+
+// GHL API: Create an open opportunity for a contact in the campaign's pipeline
+// Reuses the contact's existing opportunity in that pipeline if there is one
+// Returns the opportunity ID or null if it couldn't be created
+async function createOpportunity(contactId, name, settings, locationId, token) {
+  const existing = await findOpportunity(contactId, settings.pipelineId, locationId, token);
+
+  // Without a search result we can't tell whether one exists - creating could duplicate it
+  if (existing?.failed) {
+    log.warn('Opportunity search failed - not creating one this cycle', { action: 'create_opportunity', outcome: 'deferred', contactId });
+    return null;
+  }
+  if (existing) {
+    log.info('Contact already has an opportunity in the pipeline', {
+      action: 'create_opportunity',
+      outcome: 'existing',
+      contactId,
+      opportunityId: existing.id,
+      pipelineId: settings.pipelineId
+    });
+    return existing.id;
+  }
+
+  try {
+    const data = await ghlRequest({
+      method: 'post',
+      path: '/opportunities/',
+      data: {
+        locationId: locationId,
+        contactId: contactId,
+        pipelineId: settings.pipelineId,
+        pipelineStageId: settings.stageId,
+        name: name,
+        status: 'open',
+        source: settings.source,
+        monetaryValue: settings.monetaryValue
+      },
+      locationId,
+      token
+    });
+
+    const opportunityId = data.opportunity?.id || null;
+    log.info('Created opportunity', { action: 'create_opportunity', outcome: 'created', contactId, opportunityId });
+    return opportunityId;
+  } catch (error) {
+    log.error('Error creating opportunity', { action: 'create_opportunity', contactId, error: error.data || error.message });
+    return null;
+  }
+}
+
+// GHL API: Move an opportunity to the won/lost stage. Returns true on success.
+async function closeOpportunity(opportunityId, status, settings, locationId, token) {
+  try {
+    await ghlRequest({
+      method: 'put',
+      path: `/opportunities/${opportunityId}`,
+      data: {
+        pipelineId: settings.pipelineId,
+        pipelineStageId: settings.stages[status],
+        status: status
+      },
+      locationId,
+      token
+    });
+    log.info('Moved opportunity', { action: 'update_opportunity', outcome: status, opportunityId });
+    return true;
+  } catch (error) {
+    log.error('Error moving opportunity', { action: 'update_opportunity', opportunityId, status, error: error.data || error.message });
+    return false;
+  }
+}
+
+module.exports = {
+  validateOpportunity,
+  getOpportunitySettings,
+  findOpportunity,
+  createOpportunity,
+  closeOpportunity
+};
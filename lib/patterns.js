@@ -0,0 +1,19 @@
+// Name patterns in config rules (POS item names, prospect rule names): plain names, or regexes
+// written as "/pattern/flags"
+
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+
+// Matcher for a "/pattern/flags" regex, or null if pattern isn't written as one
+// Throws on an invalid regex, or one with the g / y flags (test() would then remember where it
+// stopped, and match the same value only every other time)
+function compileRegexPattern(pattern) {
+  const regex = pattern.match(REGEX_PATTERN);
+  if (!regex) return null;
+  if (/[gy]/.test(regex[2])) throw new Error('the g and y flags are not supported');
+  const compiled = new RegExp(regex[1], regex[2]);
+  return value => compiled.test(value || '');
+}
+
+module.exports = {
+  compileRegexPattern
+};
@@ -0,0 +1,31 @@
+// Phone number normalization to E.164 (+15035551234)
+// ABC sends phones in whatever format the front desk typed, e.g. "(503) 555-1234" or "503.555.1234 x12";
+// GHL stores E.164. Numbers without a country code are assumed to be North American (+1).
+
+const DEFAULT_COUNTRY_CODE = '1';
+
+// Returns the E.164 form, or '' if the value can't be a valid phone number
+function normalizePhone(raw) {
+  if (raw === undefined || raw === null) return '';
+
+  // Drop extensions ("x12", "ext. 12") before looking at digits
+  const value = raw.toString().trim().replace(/\s*(?:x|ext\.?|extension)\s*\d+$/i, '');
+  const hasPlus = value.startsWith('+');
+  const digits = value.replace(/\D/g, '');
+
+  if (hasPlus) {
+    // Already international - E.164 allows up to 15 digits
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : '';
+  }
+  if (digits.length === 10) {
+    return `+${DEFAULT_COUNTRY_CODE}${digits}`;
+  }
+  if (digits.length === 11 && digits.startsWith(DEFAULT_COUNTRY_CODE)) {
+    return `+${digits}`;
+  }
+  return '';
+}
+
+module.exports = {
+  normalizePhone
+};
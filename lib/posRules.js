@@ -0,0 +1,161 @@
+const { compileRegexPattern } = require('./patterns');
+
+// POS purchase -> GHL tag rules
+// A rule matches a transaction when any of its items matches the rule's profit centers and/or
+// item names, at one of the rule's clubs, and the matching items add up to at least minAmount
+//
+// Example rule (config/sync-config.json, posRules[]):
+//   { "name": "swim", "clubs": ["31600"], "profitCenters": ["Swim Club"], "tags": ["swim purchased"] }
+// itemNames entries are exact names, or regexes written as "/pattern/flags"
+//
+// Returns are matched back to the member's original sale. If the member has no other active
+// purchase for the rule, the rule's tags are removed and/or a refund tag is added:
+//   "onReturn": { "removeTags": true, "refundTag": "swim refunded" }
+// (default: remove the tags, no refund tag)
+//
+// posRules is optional: a club no rule lists (or a config with no rules at all) has no POS job
+
+// Validate raw rules from config, returning a list of errors (empty if valid)
+function validatePosRules(rules, clubNumbers) {
+  const errors = [];
+
+  if (rules === undefined) return [];
+  if (!Array.isArray(rules)) {
+    return ['posRules must be a list of rules'];
+  }
+
+  const names = new Set();
+  rules.forEach((rule, index) => {
+    const where = `posRules[${index}]`;
+    if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+
+    if (typeof rule.name !== 'string' || !/^[a-z0-9-]+$/.test(rule.name)) {
+      errors.push(`${where}.name must be lowercase letters, digits or dashes`);
+    } else if (names.has(rule.name)) {
+      errors.push(`${where}.name "${rule.name}" is used by more than one rule`);
+    } else {
+      names.add(rule.name);
+    }
+
+    if (!Array.isArray(rule.clubs) || rule.clubs.length === 0) {
+      errors.push(`${where}.clubs must list at least one club`);
+    } else {
+      rule.clubs
+        .filter(club => !clubNumbers.includes(club))
+        .forEach(club => errors.push(`${where}.clubs: "${club}" is not a configured club`));
+    }
+
+    const hasProfitCenters = rule.profitCenters !== undefined;
+    const hasItemNames = rule.itemNames !== undefined;
+    if (!hasProfitCenters && !hasItemNames) {
+      errors.push(`${where} needs profitCenters and/or itemNames`);
+    }
+    if (hasProfitCenters && (!Array.isArray(rule.profitCenters) || rule.profitCenters.length === 0 ||
+        !rule.profitCenters.every(pc => typeof pc === 'string' && pc))) {
+      errors.push(`${where}.profitCenters must list at least one profit center name`);
+    }
+    if (hasItemNames) {
+      if (!Array.isArray(rule.itemNames) || rule.itemNames.length === 0 || !rule.itemNames.every(n => typeof n === 'string' && n)) {
+        errors.push(`${where}.itemNames must list at least one item name or "/regex/" pattern`);
+      } else {
+        rule.itemNames.forEach(pattern => {
+          try {
+            compileItemName(pattern);
+          } catch (e) {
+            errors.push(`${where}.itemNames: invalid regex ${pattern} (${e.message})`);
+          }
+        });
+      }
+    }
+
+    if (rule.minAmount !== undefined && (typeof rule.minAmount !== 'number' || rule.minAmount < 0)) {
+      errors.push(`${where}.minAmount must be a non-negative number`);
+    }
+
+    if (!Array.isArray(rule.tags) || rule.tags.length === 0 || !rule.tags.every(t => typeof t === 'string' && t.trim())) {
+      errors.push(`${where}.tags must list at least one tag`);
+    }
+
+    if (rule.onReturn !== undefined) {
+      const onReturn = rule.onReturn;
+      if (onReturn === null || typeof onReturn !== 'object' || Array.isArray(onReturn)) {
+        errors.push(`${where}.onReturn must be an object`);
+      } else {
+        if (onReturn.removeTags !== undefined && typeof onReturn.removeTags !== 'boolean') {
+          errors.push(`${where}.onReturn.removeTags must be true or false`);
+        }
+        if (onReturn.refundTag !== undefined && (typeof onReturn.refundTag !== 'string' || !onReturn.refundTag.trim())) {
+          errors.push(`${where}.onReturn.refundTag must be a non-empty tag`);
+        }
+      }
+    }
+  });
+
+  return errors;
+}
+
+// "/swim.*/i" -> RegExp, anything else -> exact name matcher (throws on a bad regex, see lib/patterns.js)
+function compileItemName(pattern) {
+  return compileRegexPattern(pattern) || (name => name === pattern);
+}
+
+// Build runtime rules (item name patterns compiled once)
+function compilePosRules(rules) {
+  return (rules || []).map(rule => ({
+    name: rule.name,
+    clubs: rule.clubs,
+    profitCenters: rule.profitCenters || null,
+    itemNames: rule.itemNames || null,
+    minAmount: rule.minAmount || 0,
+    tags: rule.tags,
+    onReturn: {
+      removeTags: rule.onReturn?.removeTags ?? true,
+      refundTag: rule.onReturn?.refundTag || null
+    },
+    itemMatchers: (rule.itemNames || []).map(compileItemName)
+  }));
+}
+
+// Amount of a POS item (ABC sends numbers as strings; returns are negative)
+function getItemAmount(item) {
+  const amount = parseFloat(item.subtotal ?? item.unitPrice ?? 0);
+  return isNaN(amount) ? 0 : amount;
+}
+
+function itemMatchesRule(rule, item) {
+  if (rule.profitCenters && !rule.profitCenters.includes(item.profitCenter)) return false;
+  if (rule.itemMatchers.length > 0 && !rule.itemMatchers.some(match => match(item.name))) return false;
+  return true;
+}
+
+// Items of a transaction that match a rule ([] if the rule doesn't apply)
+// Set ignoreMinAmount for returns, whose amounts are negative
+function matchPosRule(rule, clubNumber, items, { ignoreMinAmount = false } = {}) {
+  if (!rule.clubs.includes(clubNumber)) return [];
+
+  const matched = items.filter(item => itemMatchesRule(rule, item));
+  if (matched.length === 0) return [];
+
+  if (!ignoreMinAmount && rule.minAmount > 0) {
+    const total = matched.reduce((sum, item) => sum + getItemAmount(item), 0);
+    if (total < rule.minAmount) return [];
+  }
+
+  return matched;
+}
+
+// Rules that apply to a club at all
+function getRulesForClub(rules, clubNumber) {
+  return rules.filter(rule => rule.clubs.includes(clubNumber));
+}
+
+module.exports = {
+  validatePosRules,
+  compilePosRules,
+  matchPosRule,
+  getRulesForClub,
+  getItemAmount
+};
@@ -0,0 +1,296 @@
+const { TRANSFORMS } = require('./fieldMap');
+const { compileRegexPattern } = require('./patterns');
+
+// Prospect filter rules: which of ABC's new prospects are synced to GHL, and with what
+// A prospect is synced when it passes every condition of a rule; rules are tried in order and the
+// first one it passes applies. A rule adds its tags (on top of the campaign's tag) and enrolls the
+// contact in its GHL workflows
+//
+// Example rule (config/sync-config.json, prospectRules[]):
+//   { "name": "pt-fast-add", "clubs": ["31600"], "campaigns": ["PHYSICAL THERAPY"],
+//     "entrySources": ["DataTrak Fast Add", "Fast Add"], "minAge": 18, "hasPhone": true,
+//     "tags": ["pt lead"], "workflows": ["<GHL workflow id>"] }
+// Conditions (all optional, except that the campaign always has to be one in campaigns):
+//   clubs                               - clubs the rule applies to (default: every club)
+//   campaigns                           - ABC campaigns (default: any configured campaign)
+//   entrySources                        - the agreement entry source or its report name
+//   agreementEntrySources               - the agreement entry source only
+//   entrySourceReports                  - the entry source report name only
+//   salespeople, memberTypes            - ABC salesperson name, membership type
+//   minAge, maxAge                      - age in whole years, from the birth date
+//   hasEmail, hasPhone                  - true: must have one, false: must not
+// Names match whole values ignoring case, or are regexes written as "/pattern/flags"
+//
+// Without prospectRules in the config, prospects are synced as they always were: Fast Adds in
+// any configured campaign (DEFAULT_PROSPECT_RULES) - an entry source of exactly "DataTrak Fast Add",
+// or a report name of exactly "Fast Add"
+const DEFAULT_PROSPECT_RULES = [
+  { name: 'fast-add', agreementEntrySources: ['/^DataTrak Fast Add$/'] },
+  { name: 'fast-add-report', entrySourceReports: ['/^Fast Add$/'] }
+];
+
+// Order conditions are checked in - a prospect left out is reported under its first failure
+const CONDITION_ORDER = ['entrySources', 'agreementEntrySources', 'entrySourceReports', 'campaign', 'salespeople', 'memberTypes', 'age', 'hasEmail', 'hasPhone'];
+
+// Name-list conditions: config key, the reason a prospect fails it, and the prospect's value(s)
+const NAME_CONDITIONS = [
+  { key: 'entrySources', reason: 'wrong_entry_source', value: facts => [facts.entrySource, facts.entrySourceReport] },
+  { key: 'agreementEntrySources', reason: 'wrong_entry_source', value: facts => [facts.entrySource] },
+  { key: 'entrySourceReports', reason: 'wrong_entry_source', value: facts => [facts.entrySourceReport] },
+  { key: 'salespeople', reason: 'wrong_salesperson', value: facts => [facts.salesperson] },
+  { key: 'memberTypes', reason: 'wrong_member_type', value: facts => [facts.memberType] }
+];
+
+function isNameList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(name => typeof name === 'string' && name.trim());
+}
+
+function isAge(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Validate raw rules from config, returning a list of errors (empty if valid)
+function validateProspectRules(rules, clubNumbers, campaignNames) {
+  if (rules === undefined) return [];
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return ['prospectRules must be a non-empty list of rules'];
+  }
+
+  const errors = [];
+  const names = new Set();
+  rules.forEach((rule, index) => {
+    const where = `prospectRules[${index}]`;
+    if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+
+    if (typeof rule.name !== 'string' || !/^[a-z0-9-]+$/.test(rule.name)) {
+      errors.push(`${where}.name must be lowercase letters, digits or dashes`);
+    } else if (names.has(rule.name)) {
+      errors.push(`${where}.name "${rule.name}" is used by more than one rule`);
+    } else {
+      names.add(rule.name);
+    }
+
+    if (rule.clubs !== undefined) {
+      if (!isNameList(rule.clubs)) {
+        errors.push(`${where}.clubs must list at least one club`);
+      } else {
+        rule.clubs
+          .filter(club => !clubNumbers.includes(club))
+          .forEach(club => errors.push(`${where}.clubs: "${club}" is not a configured club`));
+      }
+    }
+
+    if (rule.campaigns !== undefined) {
+      if (!isNameList(rule.campaigns)) {
+        errors.push(`${where}.campaigns must list at least one campaign`);
+      } else {
+        rule.campaigns
+          .filter(campaign => !campaignNames.includes(campaign))
+          .forEach(campaign => errors.push(`${where}.campaigns: "${campaign}" is not in campaigns`));
+      }
+    }
+
+    for (const { key } of NAME_CONDITIONS) {
+      if (rule[key] === undefined) continue;
+      if (!isNameList(rule[key])) {
+        errors.push(`${where}.${key} must be a list of names or "/regex/" patterns`);
+        continue;
+      }
+      rule[key].forEach(pattern => {
+        try {
+          compileName(pattern);
+        } catch (e) {
+          errors.push(`${where}.${key}: invalid regex ${pattern} (${e.message})`);
+        }
+      });
+    }
+
+    for (const key of ['minAge', 'maxAge']) {
+      if (rule[key] !== undefined && !isAge(rule[key])) {
+        errors.push(`${where}.${key} must be a whole number of years`);
+      }
+    }
+    if (isAge(rule.minAge) && isAge(rule.maxAge) && rule.minAge > rule.maxAge) {
+      errors.push(`${where}.minAge must not be above maxAge`);
+    }
+
+    for (const key of ['hasEmail', 'hasPhone']) {
+      if (rule[key] !== undefined && typeof rule[key] !== 'boolean') {
+        errors.push(`${where}.${key} must be true or false`);
+      }
+    }
+
+    if (rule.tags !== undefined && !isNameList(rule.tags)) {
+      errors.push(`${where}.tags must list at least one tag`);
+    }
+    if (rule.workflows !== undefined && !isNameList(rule.workflows)) {
+      errors.push(`${where}.workflows must list at least one GHL workflow id`);
+    }
+  });
+
+  return errors;
+}
+
+// "/^jane/i" -> RegExp, anything else -> whole-value match ignoring case
+// Throws on a bad regex (see lib/patterns.js)
+function compileName(pattern) {
+  const regex = compileRegexPattern(pattern);
+  if (regex) return regex;
+  const expected = pattern.trim().toLowerCase();
+  return value => (value || '').toString().trim().toLowerCase() === expected;
+}
+
+// Age in whole years on a YYYY-MM-DD date, or null without a birth date
+function getAge(birthDate, today) {
+  if (!birthDate) return null;
+  const [birthYear, birthMonthDay] = [birthDate.slice(0, 4), birthDate.slice(5)];
+  const [year, monthDay] = [today.slice(0, 4), today.slice(5)];
+  return year - birthYear - (monthDay < birthMonthDay ? 1 : 0);
+}
+
+// A rule's conditions as checks: { condition, reason, expected, passes(facts, today) }
+function compileChecks(rule, campaignNames) {
+  const checks = [];
+
+  // The campaign always has to be a configured one - its tag is what the sync adds
+  const campaigns = rule.campaigns || campaignNames;
+  checks.push({
+    condition: 'campaign',
+    reason: 'wrong_campaign',
+    expected: campaigns,
+    passes: facts => campaigns.includes(facts.campaign)
+  });
+
+  for (const { key, reason, value } of NAME_CONDITIONS) {
+    if (!rule[key]) continue;
+    const matchers = rule[key].map(compileName);
+    checks.push({
+      condition: key,
+      reason,
+      expected: rule[key],
+      passes: facts => value(facts).some(actual => actual && matchers.some(match => match(actual)))
+    });
+  }
+
+  if (rule.minAge !== undefined || rule.maxAge !== undefined) {
+    const min = rule.minAge ?? 0;
+    const max = rule.maxAge ?? Infinity;
+    checks.push({
+      condition: 'age',
+      reason: 'wrong_age',
+      expected: { min: rule.minAge ?? null, max: rule.maxAge ?? null },
+      passes: (facts, today) => {
+        const age = getAge(facts.birthDate, today);
+        return age !== null && age >= min && age <= max;
+      }
+    });
+  }
+
+  for (const [key, field, missing, present] of [['hasEmail', 'email', 'no_email', 'has_email'], ['hasPhone', 'phone', 'no_phone', 'has_phone']]) {
+    if (rule[key] === undefined) continue;
+    checks.push({
+      condition: key,
+      reason: rule[key] ? missing : present,
+      expected: rule[key],
+      passes: facts => !!facts[field] === rule[key]
+    });
+  }
+
+  return checks.sort((a, b) => CONDITION_ORDER.indexOf(a.condition) - CONDITION_ORDER.indexOf(b.condition));
+}
+
+// Build runtime rules (conditions compiled once); campaignNames are the configured campaigns
+function compileProspectRules(rules, campaignNames) {
+  return (rules || DEFAULT_PROSPECT_RULES).map(rule => ({
+    name: rule.name,
+    clubs: rule.clubs || null,
+    tags: rule.tags || [],
+    workflows: rule.workflows || [],
+    checks: compileChecks(rule, campaignNames)
+  }));
+}
+
+// A compiled rule as plain data (for debug output)
+function describeProspectRule(rule) {
+  return {
+    name: rule.name,
+    clubs: rule.clubs || 'all',
+    conditions: Object.fromEntries(rule.checks.map(check => [check.condition, check.expected])),
+    tags: rule.tags,
+    workflows: rule.workflows
+  };
+}
+
+// Campaign of a prospect/member - look in multiple possible locations
+function getProspectCampaign(prospect) {
+  return prospect.campaign || prospect.campaignName ||
+         prospect.agreement?.campaign || prospect.agreement?.campaignName;
+}
+
+// What the rules look at, from an ABC prospect record and its contact fields (see getContactFields)
+function getProspectFacts(prospect, contactFields) {
+  const agreement = prospect.agreement || {};
+  return {
+    campaign: getProspectCampaign(prospect) || null,
+    entrySource: prospect.agreementEntrySource || agreement.agreementEntrySource || agreement.entrySource || null,
+    entrySourceReport: prospect.agreementEntrySourceReportName || agreement.agreementEntrySourceReportName ||
+                       agreement.entrySourceReportName || null,
+    salesperson: agreement.salesPersonName || prospect.salesPersonName || null,
+    memberType: agreement.membershipType || prospect.membershipType || null,
+    birthDate: TRANSFORMS.date(String(prospect.personal?.birthDate || prospect.birthDate || '')) || null,
+    email: contactFields.email,
+    phone: contactFields.phone
+  };
+}
+
+// Check a prospect's facts against the rules for a club, as of today (YYYY-MM-DD)
+// Returns { rule, reason, results }:
+//   rule    - the first rule passed, or null if the prospect isn't synced
+//   reason  - why not (null when a rule passed): the first failed condition of the closest rule
+//             (fewest failed conditions), or 'no_rule' if no rule covers the club
+//   results - every rule for the club: [{ rule, passed, failed: [{ condition, reason, expected, actual }] }]
+function matchProspectRules(rules, clubNumber, facts, today) {
+  const results = rules
+    .filter(rule => !rule.clubs || rule.clubs.includes(clubNumber))
+    .map(rule => {
+      const failed = rule.checks
+        .filter(check => !check.passes(facts, today))
+        .map(({ condition, reason, expected }) => ({ condition, reason, expected, actual: getActual(condition, facts, today) }));
+      return { rule, passed: failed.length === 0, failed };
+    });
+
+  const match = results.find(result => result.passed);
+  if (match) return { rule: match.rule, reason: null, results };
+
+  const closest = results.reduce((best, result) => (!best || result.failed.length < best.failed.length ? result : best), null);
+  return { rule: null, reason: closest ? closest.failed[0].reason : 'no_rule', results };
+}
+
+// The prospect's value for a condition, to show next to what the rule expected
+function getActual(condition, facts, today) {
+  switch (condition) {
+    case 'campaign': return facts.campaign;
+    case 'entrySources': return [facts.entrySource, facts.entrySourceReport].filter(Boolean);
+    case 'agreementEntrySources': return facts.entrySource;
+    case 'entrySourceReports': return facts.entrySourceReport;
+    case 'salespeople': return facts.salesperson;
+    case 'memberTypes': return facts.memberType;
+    case 'age': return getAge(facts.birthDate, today);
+    case 'hasEmail': return !!facts.email;
+    case 'hasPhone': return !!facts.phone;
+    default: return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_PROSPECT_RULES,
+  validateProspectRules,
+  compileProspectRules,
+  describeProspectRule,
+  getProspectCampaign,
+  getProspectFacts,
+  matchProspectRules
+};
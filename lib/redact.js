@@ -0,0 +1,66 @@
+// Masking for personal data (names, emails, phones, addresses, birth dates) in debug output
+// Field names are matched case-insensitively, wherever they appear in a record
+
+const PII_FIELDS = new Set([
+  'name', 'contactname', 'firstname', 'lastname', 'middlename', 'middleinitial', 'fullname',
+  'email', 'phone', 'primaryphone', 'mobilephone', 'homephone', 'workphone', 'cellphone',
+  'emergencycontactname', 'emergencyphone',
+  'address', 'address1', 'address2', 'addressline1', 'addressline2',
+  'city', 'state', 'postalcode', 'zip', 'zipcode',
+  'birthdate', 'dateofbirth', 'driverslicense', 'ssn'
+]);
+
+// Emails and phone-like digit runs in free text (e.g. an API error message quoting the record)
+const EMAIL_PATTERN = /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi;
+const PHONE_PATTERN = /\+?\(?\d[\d\s().-]{6,}\d/g;
+
+function isPiiField(name) {
+  return PII_FIELDS.has(String(name).toLowerCase());
+}
+
+// j***@example.com
+function maskEmail(email) {
+  const [user, domain] = email.split('@');
+  return `${user.charAt(0)}***@${domain}`;
+}
+
+// ***1234 (last four digits only)
+function maskPhone(phone) {
+  const digits = phone.replace(/\D/g, '');
+  return digits.length > 4 ? `***${digits.slice(-4)}` : '***';
+}
+
+// text with any emails and phone numbers in it masked
+function maskFreeText(text) {
+  return String(text).replace(EMAIL_PATTERN, maskEmail).replace(PHONE_PATTERN, maskPhone);
+}
+
+// Masked form of one field value - emails and phones keep enough to tell records apart
+function maskField(name, value) {
+  if (value === null || value === undefined || value === '') return value;
+  const text = value.toString();
+  const lower = String(name).toLowerCase();
+  if (lower.includes('email') && text.includes('@')) return maskEmail(text);
+  if (lower.includes('phone')) return maskPhone(text);
+  if (lower.includes('name')) return `${text.charAt(0)}***`;
+  return '***';
+}
+
+// Copy of value with every PII field masked, at any depth
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object') return value;
+
+  const copy = {};
+  for (const [key, inner] of Object.entries(value)) {
+    copy[key] = isPiiField(key) && typeof inner !== 'object' ? maskField(key, inner) : redact(inner);
+  }
+  return copy;
+}
+
+module.exports = {
+  isPiiField,
+  maskField,
+  maskFreeText,
+  redact
+};
@@ -0,0 +1,42 @@
+// Shared retry helpers for the ABC and GHL clients
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with full jitter: random delay in [0, base * 2^attempt], capped at max
+function backoffDelay(attempt, baseMs, maxMs) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(Math.random() * ceiling);
+}
+
+// Retry-After is either seconds or an HTTP date; returns ms or null
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Connection errors where the request never reached the server
+const NOT_SENT_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Network errors, timeouts, 429 and 5xx are worth retrying; other 4xx are not
+// A POST (e.g. a contact create) that timed out or got a 5xx may still have gone through, and
+// sending it again could duplicate it - POSTs are only retried on 429 or when nothing was sent
+function isRetryable(error, method = 'get') {
+  const status = error.response?.status;
+  if (method.toLowerCase() === 'post') {
+    return status === 429 || (!error.response && NOT_SENT_CODES.includes(error.code));
+  }
+  if (!error.response) return true;
+  return status === 429 || status >= 500;
+}
+
+module.exports = {
+  sleep,
+  backoffDelay,
+  parseRetryAfter,
+  isRetryable
+};
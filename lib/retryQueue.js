@@ -0,0 +1,98 @@
+const ledger = require('./ledger');
+const { createLogger } = require('./logger');
+
+const log = createLogger('retry');
+
+// Retry queue for prospects and POS transactions that failed to sync
+// Each failure is retried on an exponential schedule (1 min, 2 min, 4 min, ... capped at 6 hours);
+// after RETRY_MAX_ATTEMPTS failures the item moves to the dead-letter list and is only retried by hand
+// Items keep the ABC record they were synced from, so they can be replayed without re-scanning ABC
+const RETRY_MAX_ATTEMPTS = parseInt(process.env.RETRY_MAX_ATTEMPTS, 10) || 8;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+
+// Item kinds: "prospect" (id = ABC memberId) and "pos" (id = POS transactionId)
+function retryKey(kind, id) {
+  return `${kind}:${id}`;
+}
+
+function nextDelay(attempts) {
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempts - 1));
+}
+
+// Record a failed attempt, scheduling the next one (or dead-lettering the item)
+function recordFailure(kind, id, { clubNumber, reason, payload }) {
+  const key = retryKey(kind, id);
+  const existing = ledger.getRetryItem(key);
+  const now = new Date();
+  const attempts = (existing?.attempts || 0) + 1;
+  const dead = attempts >= RETRY_MAX_ATTEMPTS;
+
+  const item = ledger.setRetryItem(key, {
+    kind: kind,
+    id: id.toString(),
+    clubNumber: clubNumber,
+    reason: reason || 'unknown',
+    attempts: attempts,
+    status: dead ? 'dead' : 'pending',
+    firstFailedAt: existing?.firstFailedAt || now.toISOString(),
+    lastFailedAt: now.toISOString(),
+    nextAttemptAt: dead ? null : new Date(now.getTime() + nextDelay(attempts)).toISOString(),
+    payload: payload ?? existing?.payload ?? null
+  });
+
+  const fields = { key, club: clubNumber, reason: item.reason, attempt: attempts, maxAttempts: RETRY_MAX_ATTEMPTS };
+  if (dead) {
+    log.error('Moved to dead-letter list', { ...fields, outcome: 'dead' });
+  } else {
+    log.info('Queued for retry', { ...fields, outcome: 'pending', nextAttemptAt: item.nextAttemptAt });
+  }
+  return item;
+}
+
+// Drop an item from the queue once it has synced
+function recordSuccess(kind, id) {
+  const key = retryKey(kind, id);
+  if (ledger.removeRetryItem(key)) {
+    log.info('Synced - removed from retry queue', { key, outcome: 'synced' });
+  }
+}
+
+function isQueued(kind, id) {
+  return !!ledger.getRetryItem(retryKey(kind, id));
+}
+
+// Pending items whose next attempt is due
+function getDueItems(now = new Date()) {
+  const nowIso = now.toISOString();
+  return ledger.listRetryItems(item => item.status === 'pending' && item.nextAttemptAt <= nowIso);
+}
+
+// Queue contents without the stored ABC records, for the list endpoint
+function listQueue(status) {
+  return ledger.listRetryItems(item => !status || item.status === status)
+    .map(({ payload, ...item }) => item)
+    .sort((a, b) => a.firstFailedAt.localeCompare(b.firstFailedAt));
+}
+
+function getItem(key) {
+  const item = ledger.getRetryItem(key);
+  return item ? { key, ...item } : null;
+}
+
+// Give up on an item for good (it stays failed in the ledger, marked discarded)
+function discard(key) {
+  return ledger.removeRetryItem(key);
+}
+
+module.exports = {
+  RETRY_MAX_ATTEMPTS,
+  retryKey,
+  recordFailure,
+  recordSuccess,
+  isQueued,
+  getDueItems,
+  listQueue,
+  getItem,
+  discard
+};
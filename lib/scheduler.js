@@ -0,0 +1,274 @@
+const { isDryRun } = require('./dryRun');
+const { nextCronTime } = require('./cron');
+const { createLogger, withCycle } = require('./logger');
+
+const log = createLogger('scheduler');
+
+// Named background jobs, each on its own schedule - every N seconds or a cron expression in a timezone
+// A job never overlaps itself: a scheduled tick or manual run that finds it still running is skipped,
+// and other work on the same data (backfills, catch-up, retry replays) holds the job's lock via withLock()
+// Jobs can be paused and resumed at runtime; pausing stops scheduled runs but not one already running
+// A job unregistered mid-run keeps its lock until that run finishes, then goes
+// Pause state lives in memory, so a restart resumes everything
+
+// Longest single timer Node allows (~24.8 days) - longer waits are split
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const jobs = new Map();
+let started = false;
+
+// getSchedule() returns { intervalSeconds } or { cron, timezone }; it is read again at every
+// reschedule, so config edits apply from the next run
+// Re-registering an existing name swaps in the new schedule / run function and keeps its status
+function registerJob(name, { getSchedule, run }) {
+  let job = jobs.get(name);
+  if (!job) {
+    job = {
+      name,
+      paused: false,
+      running: false,
+      runningFor: null,
+      runningSince: null,
+      lastStartedAt: null,
+      lastFinishedAt: null,
+      lastDurationMs: null,
+      lastOutcome: null,
+      lastError: null,
+      lastErrorAt: null,
+      runs: 0,
+      skippedRuns: 0,
+      nextRunAt: null,
+      timer: null
+    };
+    jobs.set(name, job);
+  }
+  job.removed = false;
+  job.getSchedule = getSchedule;
+  job.run = run;
+  if (started) schedule(job);
+  return job;
+}
+
+function unregisterJob(name) {
+  const job = getJob(name);
+  if (!job) return false;
+  clearTimeout(job.timer);
+  job.nextRunAt = null;
+  if (job.running) {
+    job.removed = true;
+    log.info('Removing job once its run finishes', { job: name, runningFor: job.runningFor });
+    return true;
+  }
+  jobs.delete(name);
+  log.info('Removed job', { job: name });
+  return true;
+}
+
+// A registered job, or null - one unregistered mid-run stays in jobs (so it still holds its lock) but is gone here
+function getJob(name) {
+  const job = jobs.get(name);
+  return job && !job.removed ? job : null;
+}
+
+function getJobNames() {
+  return [...jobs.values()].filter(job => !job.removed).map(job => job.name);
+}
+
+function describeSchedule(schedule) {
+  return schedule.cron
+    ? `cron "${schedule.cron}" (${schedule.timezone})`
+    : `every ${schedule.intervalSeconds}s`;
+}
+
+// Set the timer for a job's next run
+function schedule(job) {
+  clearTimeout(job.timer);
+  const plan = job.getSchedule();
+  const now = new Date();
+  const next = plan.cron
+    ? nextCronTime(plan.cron, plan.timezone, now)
+    : new Date(now.getTime() + plan.intervalSeconds * 1000);
+
+  job.nextRunAt = next ? next.toISOString() : null;
+  if (!next) {
+    log.error('Schedule never matches - not scheduled', { job: job.name, schedule: describeSchedule(plan) });
+    return;
+  }
+  const delay = Math.min(MAX_TIMER_MS, Math.max(0, next.getTime() - Date.now()));
+  job.timer = setTimeout(() => tick(job, next), delay);
+}
+
+function tick(job, due) {
+  if (getJob(job.name) !== job) return;
+
+  // A split timer for a far-off run - keep waiting
+  if (Date.now() < due.getTime()) {
+    job.timer = setTimeout(() => tick(job, due), Math.min(MAX_TIMER_MS, due.getTime() - Date.now()));
+    return;
+  }
+
+  schedule(job);
+  if (job.paused) return;
+  if (job.running) {
+    job.skippedRuns++;
+    log.info('Still running - skipping this run', {
+      job: job.name,
+      outcome: 'skipped',
+      runningFor: job.runningFor,
+      runningSince: job.runningSince
+    });
+    return;
+  }
+  execute(job, 'schedule');
+}
+
+function markRunning(job, runningFor) {
+  job.running = true;
+  job.runningFor = runningFor;
+  job.runningSince = new Date().toISOString();
+}
+
+function markIdle(job) {
+  job.running = false;
+  job.runningFor = null;
+  job.runningSince = null;
+  if (job.removed) {
+    jobs.delete(job.name);
+    log.info('Removed job', { job: job.name });
+  }
+}
+
+// One run of a job, recording its outcome; a result with ok: false counts as a failure
+// Everything the run logs carries its cycleId and job name
+function execute(job, trigger) {
+  return withCycle(job.name, () => executeInCycle(job, trigger));
+}
+
+async function executeInCycle(job, trigger) {
+  markRunning(job, trigger);
+  job.lastStartedAt = job.runningSince;
+  const startedAt = Date.now();
+
+  let result = null;
+  let error = null;
+  try {
+    result = await job.run();
+    if (result && result.ok === false) error = result.error || 'failed';
+  } catch (thrown) {
+    error = thrown.message;
+    log.error('Job threw', { error: thrown.message });
+  }
+
+  markIdle(job);
+  job.runs++;
+  job.lastFinishedAt = new Date().toISOString();
+  job.lastDurationMs = Date.now() - startedAt;
+  job.lastOutcome = error ? 'failed' : 'ok';
+  if (error) {
+    job.lastError = error;
+    job.lastErrorAt = job.lastFinishedAt;
+  }
+  log.info('Job finished', { trigger, outcome: job.lastOutcome, durationMs: job.lastDurationMs, error: error || undefined });
+  return { ran: true, result, error };
+}
+
+// Why a job can't run right now, or null if it can
+function getBlocker(job) {
+  if (job.running) return `${job.name} is already running (${job.runningFor} since ${job.runningSince})`;
+  return null;
+}
+
+// Run fn in a cycle as holder; a throw is logged and returned as error, as for scheduled runs
+async function runCaught(holder, fn) {
+  try {
+    return { ran: true, result: await withCycle(holder, fn), error: null };
+  } catch (thrown) {
+    log.error('Job threw', { job: holder, error: thrown.message });
+    return { ran: true, result: null, error: thrown.message };
+  }
+}
+
+// Run a job now, outside its schedule
+// Returns { ran: true, result, error }, or { ran: false, reason } if it is unknown, paused or running
+// Dry runs write nothing, so they skip the lock and leave the job's status alone
+async function runNow(name, trigger = 'manual') {
+  const job = getJob(name);
+  if (!job) return { ran: false, reason: `Unknown job ${name}` };
+  if (isDryRun()) return runCaught(name, job.run);
+
+  if (job.paused) return { ran: false, reason: `${name} is paused` };
+  const blocker = getBlocker(job);
+  if (blocker) return { ran: false, reason: blocker };
+  return execute(job, trigger);
+}
+
+// Run fn while holding the locks of the named jobs, so none of them starts meanwhile
+// (unregistered names are ignored). Returns { ran: true, result, error } (error if fn threw) or
+// { ran: false, reason } if one of the jobs is running. fn's logs carry holder as the job name
+async function withLock(names, holder, fn) {
+  if (isDryRun()) return runCaught(holder, fn);
+
+  const locked = names.map(name => jobs.get(name)).filter(Boolean);
+  for (const job of locked) {
+    const blocker = getBlocker(job);
+    if (blocker) return { ran: false, reason: blocker };
+  }
+
+  locked.forEach(job => markRunning(job, holder));
+  try {
+    return await runCaught(holder, fn);
+  } finally {
+    locked.forEach(markIdle);
+  }
+}
+
+// Pause / resume scheduled runs; returns the job's status, or null for an unknown job
+function pauseJob(name) {
+  const job = getJob(name);
+  if (!job) return null;
+  if (!job.paused) log.info('Paused job', { job: name });
+  job.paused = true;
+  return getJobStatus(name);
+}
+
+function resumeJob(name) {
+  const job = getJob(name);
+  if (!job) return null;
+  if (job.paused) log.info('Resumed job', { job: name });
+  job.paused = false;
+  return getJobStatus(name);
+}
+
+function getJobStatus(name) {
+  const job = getJob(name);
+  if (!job) return null;
+  const { timer, getSchedule, run, removed, ...status } = job;
+  return { ...status, schedule: describeSchedule(getSchedule()) };
+}
+
+function listJobs() {
+  return getJobNames().map(getJobStatus);
+}
+
+// Start every registered job's timer (jobs registered later start straight away)
+function startScheduler() {
+  started = true;
+  for (const job of jobs.values()) {
+    if (job.removed) continue;
+    schedule(job);
+    log.info('Scheduled job', { job: job.name, schedule: describeSchedule(job.getSchedule()), nextRunAt: job.nextRunAt });
+  }
+}
+
+module.exports = {
+  registerJob,
+  unregisterJob,
+  getJobNames,
+  runNow,
+  withLock,
+  pauseJob,
+  resumeJob,
+  getJobStatus,
+  listJobs,
+  startScheduler
+};
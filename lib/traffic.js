@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const ledger = require('./ledger');
+const { getTodayDate, pinToday } = require('./dates');
+const { describeWrite, fakeWriteResponse } = require('./dryRun');
+const { createLogger } = require('./logger');
+
+const log = createLogger('traffic');
+
+// Record / replay of ABC and GHL traffic, to reproduce a bad day's sync offline
+//
+// Record (TRAFFIC_MODE=record): every ABC and GHL request and response is appended to
+// <TRAFFIC_DIR>/<YYYY-MM-DD>/exchanges.jsonl, next to a copy of the ledger as it was before the
+// day's first request. Days are counted in TRAFFIC_TIMEZONE (our clubs' timezone by default)
+//
+// Replay (node cli.js replay <day dir>): one full poll cycle runs against a recording, with
+// "today" pinned to the recorded day and the recorded ledger copied to a scratch file. Nothing is sent:
+//   - ABC requests get the day's last successful response to the same request (the fullest data)
+//   - GHL reads get the day's first response (GHL as it was before that day's writes)
+//   - GHL writes are answered by a local stand-in and collected, so they can be checked against
+//     an expected list (--expect) or saved as one (--save)
+// Requests with no recording get an empty GHL result, or a 404 from ABC
+//
+// Recordings hold API responses verbatim, personal data included - keep them as private as the ledger
+const TRAFFIC_MODE = process.env.TRAFFIC_MODE === 'record' ? 'record' : 'off';
+const TRAFFIC_DIR = process.env.TRAFFIC_DIR || path.join(__dirname, '..', 'data', 'traffic');
+const TRAFFIC_TIMEZONE = process.env.TRAFFIC_TIMEZONE || 'America/Los_Angeles';
+
+const EXCHANGES_FILE = 'exchanges.jsonl';
+const LEDGER_FILE = 'ledger.json';
+const MANIFEST_FILE = 'manifest.json';
+
+// Day directory currently being recorded to
+let recordingDay = null;
+
+// Loaded recording while replaying: { day, index: key -> [exchange], writes: [] }
+let replay = null;
+
+// Requests are matched on service, method, path and params (in any order)
+function exchangeKey(service, { method, path: requestPath, params }) {
+  const sortedParams = Object.keys(params || {})
+    .filter(name => params[name] !== undefined)
+    .sort()
+    .map(name => [name, params[name]]);
+  return `${service} ${method.toUpperCase()} ${requestPath} ${JSON.stringify(sortedParams)}`;
+}
+
+// Day directory for today, starting it (ledger copy + manifest) on the day's first request
+function getRecordingDir() {
+  const day = getTodayDate(TRAFFIC_TIMEZONE);
+  const dir = path.join(TRAFFIC_DIR, day);
+  if (recordingDay === day) return dir;
+
+  fs.mkdirSync(dir, { recursive: true });
+  if (!fs.existsSync(path.join(dir, MANIFEST_FILE))) {
+    if (fs.existsSync(ledger.LEDGER_PATH)) {
+      fs.copyFileSync(ledger.LEDGER_PATH, path.join(dir, LEDGER_FILE));
+    }
+    fs.writeFileSync(path.join(dir, MANIFEST_FILE), JSON.stringify({
+      day,
+      timezone: TRAFFIC_TIMEZONE,
+      startedAt: new Date().toISOString()
+    }, null, 2));
+    log.info('Recording ABC / GHL traffic', { dir });
+  }
+  recordingDay = day;
+  return dir;
+}
+
+function recordExchange(service, request, { status, data, error }) {
+  try {
+    const line = JSON.stringify({
+      at: new Date().toISOString(),
+      service,
+      method: request.method.toUpperCase(),
+      path: request.path,
+      params: request.params || null,
+      data: request.data ?? null,
+      status: status ?? null,
+      response: data ?? null,
+      error: error || null
+    });
+    fs.appendFileSync(path.join(getRecordingDir(), EXCHANGES_FILE), line + '\n');
+  } catch (writeError) {
+    log.error('Could not record exchange', { service, path: request.path, error: writeError.message });
+  }
+}
+
+// An error shaped like axios's, so the clients' retry / error handling sees what it saw live
+function responseError(status, data, message) {
+  const error = new Error(message || `Request failed with status code ${status}`);
+  if (status) error.response = { status, data, headers: {} };
+  return error;
+}
+
+function isSuccess(exchange) {
+  return exchange.status >= 200 && exchange.status < 300;
+}
+
+// Read a recorded day and switch to replay mode
+// Returns { day, ledgerPath } (ledgerPath null if the recording has no ledger copy); throws if dir isn't a recording
+function loadRecording(dir) {
+  const manifestPath = path.join(dir, MANIFEST_FILE);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`${dir} is not a traffic recording (no ${MANIFEST_FILE})`);
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+  const index = new Map();
+  const exchangesPath = path.join(dir, EXCHANGES_FILE);
+  const lines = fs.existsSync(exchangesPath) ? fs.readFileSync(exchangesPath, 'utf8').split('\n') : [];
+  let count = 0;
+  for (const line of lines.filter(Boolean)) {
+    const exchange = JSON.parse(line);
+    const key = exchangeKey(exchange.service, exchange);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(exchange);
+    count++;
+  }
+
+  replay = { day: manifest.day, index, writes: [] };
+  pinToday(manifest.day);
+  log.info('Replaying recorded exchanges', { dir, day: manifest.day, exchanges: count });
+
+  const ledgerPath = path.join(dir, LEDGER_FILE);
+  return { day: manifest.day, ledgerPath: fs.existsSync(ledgerPath) ? ledgerPath : null };
+}
+
+function isReplaying() {
+  return !!replay;
+}
+
+// GHL writes the replay would have made, in order
+function getReplayWrites() {
+  return replay ? replay.writes : [];
+}
+
+// Empty GHL answer for a read nobody recorded
+function emptyGhlResponse(requestPath) {
+  if (/^\/contacts\/?$/.test(requestPath)) return { contacts: [] };
+  if (requestPath === '/opportunities/search') return { opportunities: [] };
+  return {};
+}
+
+function replayExchange(service, request) {
+  const method = request.method.toUpperCase();
+
+  if (service === 'ghl' && method !== 'GET') {
+    const action = describeWrite(method, request.path);
+    replay.writes.push({ action, method, path: request.path, data: request.data ?? null });
+    log.info('Replay: GHL write not sent', { action, method, path: request.path });
+    return { status: 200, data: fakeWriteResponse(action, request.data, 'replay'), headers: {} };
+  }
+
+  const recorded = replay.index.get(exchangeKey(service, request)) || [];
+  if (recorded.length === 0) {
+    log.info('Replay: no recording for request', { service, method, path: request.path });
+    if (service === 'ghl') return { status: 200, data: emptyGhlResponse(request.path), headers: {} };
+    throw responseError(404, null, `No recorded response for ABC ${method} ${request.path}`);
+  }
+
+  const exchange = service === 'abc'
+    ? [...recorded].reverse().find(isSuccess) || recorded[recorded.length - 1]
+    : recorded[0];
+  const data = JSON.parse(JSON.stringify(exchange.response));
+  if (isSuccess(exchange)) return { status: exchange.status, data, headers: {} };
+  throw responseError(exchange.status, data, exchange.error);
+}
+
+// Send one ABC / GHL request through record / replay
+// request is { method, path, params, data }; send() makes the real call and returns the axios response
+async function exchange(service, request, send) {
+  if (replay) return replayExchange(service, request);
+  if (TRAFFIC_MODE !== 'record') return send();
+
+  try {
+    const response = await send();
+    recordExchange(service, request, { status: response.status, data: response.data });
+    return response;
+  } catch (error) {
+    recordExchange(service, request, {
+      status: error.response?.status,
+      data: error.response?.data,
+      error: error.response ? null : error.message
+    });
+    throw error;
+  }
+}
+
+module.exports = {
+  TRAFFIC_MODE,
+  TRAFFIC_DIR,
+  exchange,
+  loadRecording,
+  isReplaying,
+  getReplayWrites
+};
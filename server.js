@@ -1,643 +1,2018 @@
 const express = require('express');
-const axios = require('axios');
+const ledger = require('./lib/ledger');
+const { fetchProspects, fetchConvertedMembers, fetchPosTransactions, fetchCheckins, fetchMemberCheckins, fetchMember } = require('./lib/abc');
+const { getBudgets } = require('./lib/ghl');
+const ghlAuth = require('./lib/ghlAuth');
+const { getContactFields, getMappedFields, searchGhlContactsByAbcId, findExistingContact, createGhlContact, getGhlContact, upsertGhlContact, retagGhlContact, convertGhlContact, updateGhlContactActivity, addContactToWorkflow, getUpsertOutcome } = require('./lib/contacts');
+const { getConfig, watchConfig, onConfigChange } = require('./lib/config');
+const { matchPosRule, getRulesForClub } = require('./lib/posRules');
+const { getProspectCampaign, getProspectFacts, matchProspectRules, describeProspectRule } = require('./lib/prospectRules');
+const { getOpportunitySettings, createOpportunity, closeOpportunity } = require('./lib/opportunities');
+const { getCheckinMemberId, getCheckinHomeClub, getCheckinId, isVisit, getVisitWindow, getRecentVisits, countRecentVisits, addVisits, getInitialStats, getVisitFields } = require('./lib/checkins');
+const retryQueue = require('./lib/retryQueue');
+const { DRY_RUN, isDryRun, withDryRun } = require('./lib/dryRun');
+const metrics = require('./lib/metrics');
+const scheduler = require('./lib/scheduler');
+const { TRAFFIC_MODE, TRAFFIC_DIR } = require('./lib/traffic');
+const { getApiKeyCount, requireRole, piiAccess } = require('./lib/auth');
+const { redact, maskField, isPiiField } = require('./lib/redact');
+const { LOG_LEVEL, LOG_PII, createLogger, withCycle, withRecord } = require('./lib/logger');
+const { getTodayDate, getStartOfDay, isValidDate, addDays, getDatesInRange, toAbcRange } = require('./lib/dates');
+const { renderDashboard, renderSyncResult, renderMessage } = require('./lib/dashboard');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// ABC API Config
-const ABC_API_BASE = 'https://api.abcfinancial.com/rest';
-const ABC_APP_ID = process.env.ABC_APP_ID;
-const ABC_APP_KEY = process.env.ABC_APP_KEY;
-
-// Location mapping: ABC Club Number -> GHL Location ID & Token
-const LOCATIONS = {
-  '31601': {
-    ghlLocationId: 'BQfUepBFzqVan4ruCQ6R',
-    ghlToken: process.env.GHL_TOKEN_31601
-  },
-  '31600': {
-    ghlLocationId: 'aqSDfuZLimMXuPz6Zx3p',
-    ghlToken: process.env.GHL_TOKEN_31600
-  }
-};
-
-// Target campaigns
-const TARGET_CAMPAIGNS = ['Non-Member Program', 'PHYSICAL THERAPY'];
-
-// Campaign to tag mapping
-const CAMPAIGN_TAGS = {
-  'PHYSICAL THERAPY': 'NLPT',
-  'Non-Member Program': 'Non Member Program'
-};
+// One logger per part of the service (the component field of each log line - see lib/logger.js)
+const abcLog = createLogger('abc');
+const syncLog = createLogger('sync');
+const posLog = createLogger('pos');
+const convertLog = createLogger('convert');
+const checkinLog = createLogger('checkins');
+const reconcileLog = createLogger('reconcile');
+const retryLog = createLogger('retry');
+const pollLog = createLogger('poll');
+const backfillLog = createLogger('backfill');
+const catchupLog = createLogger('catchup');
+const debugLog = createLogger('debug');
+const serverLog = createLogger('server');
+
+// Clubs (GHL location, token env var, timezone), campaign -> tag mapping, the prospect filter
+// rules, the POS purchase -> tag rules and check-in settings are loaded from
+// config/sync-config.json - see lib/config.js
+
+// Job schedules (prospect / POS / conversion sync and reconciliation per club, retry queue,
+// ledger prune) are in the config's schedules section - see lib/scheduler.js
+
+// Longest range accepted by the backfill endpoint / CLI
+const MAX_BACKFILL_DAYS = 31;
+
+// How far back the startup catch-up will reach after downtime
+const MAX_CATCHUP_DAYS = parseInt(process.env.MAX_CATCHUP_DAYS, 10) || 7;
+
+// GHL web app, for the admin dashboard's contact links
+const GHL_APP_URL = process.env.GHL_APP_URL || 'https://app.gohighlevel.com';
+
+// Timezone for a club (falls back to Pacific, where all our clubs are)
+function getClubTimezone(clubNumber) {
+  return getConfig().clubs[clubNumber]?.timezone || 'America/Los_Angeles';
+}
 
-// GHL custom field key for ABC ID
-const ABC_ID_FIELD_KEY = 'abc_member_id';
+// Default range: just today, in the club's own timezone
+function todayRange(clubNumber) {
+  const today = getTodayDate(getClubTimezone(clubNumber));
+  return { start: today, end: today };
+}
 
-// In-memory tracking of synced members (resets on restart)
-const syncedMemberIds = new Set();
+// GHL authorization per club: OAuth install or static token, and whether GHL still accepts it
+function getGhlAuthStatus() {
+  const status = {};
+  for (const club of Object.values(getConfig().clubs)) {
+    status[club.clubNumber] = { locationId: club.ghlLocationId, ...ghlAuth.getAuthStatus(club.ghlLocationId, !!club.ghlToken) };
+  }
+  return status;
+}
 
 // ═══════════════════════════════════════════
-// SWIM POS CONFIG (Club 31600 - Clackamas)
+// EXISTING PROSPECT SYNC FUNCTIONS
 // ═══════════════════════════════════════════
-const SWIM_CLUB = '31600';
-const SWIM_PROFIT_CENTERS = [
-  'Swim Club',
-  'Group Swim Lessons',
-  'Private Swim Lessons'
-];
-const SWIM_TAG = 'swim purchased';
 
-// In-memory tracking of synced swim transaction IDs (resets on restart)
-const syncedSwimTransactionIds = new Set();
+// ABC API: Get members/prospects for a club created within a date range
+// Returns null if the fetch failed (as opposed to [] for no prospects)
+async function getAbcProspects(clubNumber, range = todayRange(clubNumber)) {
+  try {
+    return await fetchProspects(clubNumber, range);
+  } catch (error) {
+    abcLog.error('Error fetching prospects', { club: clubNumber, error: error.data || error.message });
+    return null;
+  }
+}
 
-// Polling interval (60 seconds to avoid rate limits)
-const POLL_INTERVAL = 60000;
+// Check a prospect against the club's filter rules (config: prospectRules, see lib/prospectRules.js)
+// Returns { rule, reason, facts, results } - rule is the rule it is synced under, or null with the reason
+function evaluateProspect(clubNumber, prospect) {
+  const facts = getProspectFacts(prospect, getContactFields(prospect));
+  const today = getTodayDate(getClubTimezone(clubNumber));
+  return { ...matchProspectRules(getConfig().prospectRules, clubNumber, facts, today), facts };
+}
 
-// Get today's date in YYYY-MM-DD format
-function getTodayDate() {
-  const today = new Date();
-  return today.toISOString().split('T')[0];
+// Why a prospect isn't synced ('wrong_entry_source', 'wrong_campaign', ... - see lib/prospectRules.js),
+// or null if a rule passes it
+function getFilterReason(clubNumber, prospect) {
+  return evaluateProspect(clubNumber, prospect).reason;
 }
 
-// ═══════════════════════════════════════════
-// EXISTING PROSPECT SYNC FUNCTIONS
-// ═══════════════════════════════════════════
+// Prospects that pass one of the club's filter rules
+function filterProspects(clubNumber, prospects) {
+  return prospects.filter(prospect => !getFilterReason(clubNumber, prospect));
+}
 
-// ABC API: Get members/prospects for a club
-async function getAbcProspects(clubNumber) {
-  const today = getTodayDate();
+// Prospects today's latest scan left out, per club (in memory, for the admin dashboard):
+// { clubNumber: { scannedAt, filteredOut: [{ memberId, campaign, reason }] } }
+const lastScans = {};
+
+function recordFilteredOut(clubNumber, range, prospects) {
+  if (isDryRun() || range.end !== getTodayDate(getClubTimezone(clubNumber))) return;
+  lastScans[clubNumber] = {
+    scannedAt: new Date().toISOString(),
+    filteredOut: prospects
+      .map(prospect => ({
+        memberId: (prospect.memberId || prospect.id || '').toString(),
+        campaign: getProspectCampaign(prospect) || null,
+        reason: getFilterReason(clubNumber, prospect)
+      }))
+      .filter(entry => entry.reason)
+  };
+}
+
+// Main sync function for a single club
+// Returns a summary; ok is false if the ABC fetch failed
+async function syncClub(clubNumber, range = todayRange(clubNumber)) {
+  const summary = { clubNumber, range, ok: false, error: null, fetched: 0, matched: 0, created: 0, updated: 0, skipped: 0, ambiguous: 0, failed: 0, queued: 0 };
+
+  if (!getConfig().clubs[clubNumber]) {
+    syncLog.error('No configuration found for club', { club: clubNumber });
+    summary.error = 'unknown_club';
+    return summary;
+  }
   
-  try {
-    const response = await axios.get(
-      `${ABC_API_BASE}/${clubNumber}/members`,
-      {
-        headers: {
-          'accept': 'application/json',
-          'app_id': ABC_APP_ID,
-          'app_key': ABC_APP_KEY
-        },
-        params: {
-          joinStatus: 'Prospect',
-          createdTimestampRange: today
-        }
+  syncLog.info('Polling club', { club: clubNumber, range: toAbcRange(range) });
+  
+  // Get prospects from ABC
+  const allProspects = await getAbcProspects(clubNumber, range);
+  if (!allProspects) {
+    syncLog.error('Could not fetch prospects - will retry next cycle', { club: clubNumber, outcome: 'failed' });
+    summary.error = 'abc_fetch_failed';
+    return summary;
+  }
+  syncLog.info('Fetched prospects', { club: clubNumber, range: toAbcRange(range), count: allProspects.length });
+  summary.fetched = allProspects.length;
+  
+  // Filter by the club's prospect rules
+  const filteredProspects = filterProspects(clubNumber, allProspects);
+  recordFilteredOut(clubNumber, range, allProspects);
+  syncLog.info('Prospects match criteria', { club: clubNumber, count: filteredProspects.length });
+  summary.matched = filteredProspects.length;
+  
+  for (const prospect of filteredProspects) {
+    const memberId = prospect.memberId || prospect.id;
+    
+    // Failures are retried by the retry queue on its own schedule, not on every scan
+    if (retryQueue.isQueued('prospect', memberId)) {
+      summary.queued++;
+      continue;
+    }
+    
+    // Skip if already in the ledger (failed entries not in the queue are retried)
+    const ledgerEntry = ledger.getProspect(memberId);
+    if (ledgerEntry && (ledgerEntry.outcome !== 'failed' || ledgerEntry.discarded)) {
+      syncLog.debug('Skipping - already synced', { club: clubNumber, memberId, outcome: ledgerEntry.outcome });
+      if (ledgerEntry.opportunityPending) {
+        ledger.updateProspect(memberId, await openOpportunity(clubNumber, getProspectCampaign(prospect), ledgerEntry.ghlContactId, prospect));
       }
-    );
+      if (ledgerEntry.workflowsPending?.length > 0) {
+        ledger.updateProspect(memberId, await enrollInWorkflows(clubNumber, ledgerEntry.ghlContactId, ledgerEntry.workflowsPending, ledgerEntry.workflows));
+      }
+      summary.skipped++;
+      continue;
+    }
     
-    return response.data.members || [];
-  } catch (error) {
-    console.error(`[ABC] Error fetching prospects for club ${clubNumber}:`, error.response?.data || error.message);
-    return [];
+    const { outcome } = await syncProspect(clubNumber, prospect);
+    if (outcome === 'created') summary.created++;
+    else if (outcome === 'skipped-duplicate' || outcome === 'skipped') summary.skipped++;
+    else if (outcome === 'ambiguous') summary.ambiguous++;
+    else if (outcome === 'failed') summary.failed++;
+    else summary.updated++;
   }
+
+  summary.ok = true;
+  return summary;
 }
 
-// Filter prospects by campaign and entry source
-function filterProspects(prospects) {
-  return prospects.filter(prospect => {
-    // Check entry source - look in multiple possible locations
-    const entrySource = prospect.agreementEntrySource || 
-                        prospect.agreement?.agreementEntrySource ||
-                        prospect.agreement?.entrySource;
-    const entrySourceReport = prospect.agreementEntrySourceReportName || 
-                              prospect.agreement?.agreementEntrySourceReportName ||
-                              prospect.agreement?.entrySourceReportName;
-    
-    const isValidEntrySource = 
-      entrySource === 'DataTrak Fast Add' || 
-      entrySourceReport === 'Fast Add';
-    
-    if (!isValidEntrySource) return false;
-    
-    // Check campaign - look in multiple possible locations
-    const campaign = prospect.campaign || 
-                     prospect.campaignName || 
-                     prospect.agreement?.campaign ||
-                     prospect.agreement?.campaignName;
-    const isValidCampaign = TARGET_CAMPAIGNS.includes(campaign);
-    
-    return isValidCampaign;
-  });
+// Sync one prospect to GHL (create, or upsert an existing contact) and record the result
+// Failures go on the retry queue with the prospect record; successes come off it
+// Returns { outcome, reason }
+function syncProspect(clubNumber, prospect) {
+  const memberId = (prospect.memberId || prospect.id)?.toString();
+  return withRecord({ club: clubNumber, memberId }, () => syncProspectRecord(clubNumber, prospect));
 }
 
-// GHL API: Search for existing contact by email
-async function searchGhlContactByEmail(email, locationId, token) {
-  if (!email) return null;
+async function syncProspectRecord(clubNumber, prospect) {
+  const { ghlLocationId, ghlToken } = getConfig().clubs[clubNumber];
+  const memberId = prospect.memberId || prospect.id;
+  const campaign = getProspectCampaign(prospect);
+  // Callers only pass prospects that match a rule (replayRetryItem checks retries again)
+  const { rule } = evaluateProspect(clubNumber, prospect);
+  const tags = getProspectTags(campaign, rule);
+  const startedAt = Date.now();
+  
+  const record = entry => {
+    ledger.recordProspect(memberId, { clubNumber, campaign, rule: rule?.name || null, ...entry });
+    if (entry.outcome === 'failed') {
+      retryQueue.recordFailure('prospect', memberId, { clubNumber, reason: entry.reason, payload: prospect });
+    } else {
+      retryQueue.recordSuccess('prospect', memberId);
+    }
+    syncLog.info('Prospect synced', {
+      action: 'sync_prospect',
+      campaign,
+      rule: rule?.name,
+      outcome: entry.outcome,
+      reason: entry.reason,
+      contactId: entry.ghlContactId,
+      durationMs: Date.now() - startedAt
+    });
+    return { outcome: entry.outcome, reason: entry.reason || null };
+  };
+  
+  // Look for an existing GHL contact (matchPriority order: ABC ID, email, phone)
+  const existing = await findExistingContact(getContactFields(prospect), ghlLocationId, ghlToken);
+  
+  if (existing?.failed) {
+    // Couldn't tell whether the contact exists - retry later rather than risk a duplicate
+    return record({ outcome: 'failed', reason: `search_failed_${existing.matchedBy}` });
+  }
+  
+  if (existing?.ambiguous) {
+    syncLog.error('Matches several GHL contacts - flagged, not syncing', { matchedBy: existing.matchedBy, candidates: existing.candidates });
+    return record({
+      outcome: 'ambiguous',
+      reason: `ambiguous_${existing.matchedBy}`,
+      candidates: existing.candidates
+    });
+  }
+  
+  if (existing) {
+    // Existing contact - add the campaign and rule tags and fill in blank fields, never remove anything
+    const result = await upsertGhlContact(existing.contact, prospect, tags, ghlLocationId, ghlToken, clubNumber);
+    const outcome = getUpsertOutcome(result);
+    syncLog.info('Matches existing GHL contact', { contactId: existing.contact.id, matchedBy: existing.matchedBy, outcome });
+    const opportunity = result ? await openOpportunity(clubNumber, campaign, existing.contact.id, prospect) : {};
+    const workflows = result ? await enrollInWorkflows(clubNumber, existing.contact.id, rule?.workflows) : {};
+    return record({
+      outcome,
+      ghlContactId: existing.contact.id,
+      reason: result ? existing.matchedBy : 'update_failed',
+      ...opportunity,
+      ...workflows
+    });
+  }
+  
+  // GHL needs an email or phone to create a contact - retrying won't change that
+  const fields = getContactFields(prospect);
+  if (!fields.email && !fields.phone) {
+    return record({ outcome: 'skipped', reason: 'no_email_or_phone' });
+  }
+
+  // Create contact in GHL
+  const created = await createGhlContact(prospect, tags, ghlLocationId, ghlToken, clubNumber);
+  if (!created) return record({ outcome: 'failed', reason: 'create_failed' });
   
+  const opportunity = await openOpportunity(clubNumber, campaign, created.contact?.id, prospect);
+  const workflows = await enrollInWorkflows(clubNumber, created.contact?.id, rule?.workflows);
+  return record({
+    outcome: 'created',
+    ghlContactId: created.contact?.id,
+    ...opportunity,
+    ...workflows
+  });
+}
+
+// Tags a synced prospect gets: their campaign's tag plus their filter rule's tags
+function getProspectTags(campaign, rule) {
+  const tag = getConfig().campaigns[campaign]?.tag;
+  return [...new Set([tag, ...(rule?.tags || [])].filter(Boolean))];
+}
+
+// Enroll a synced prospect's contact in their filter rule's GHL workflows
+// Returns the fields to store on the ledger entry ({} if there are none): workflows enrolled so far,
+// and workflowsPending - enrollments that failed, retried on the next cycle that sees the prospect
+async function enrollInWorkflows(clubNumber, contactId, workflowIds, enrolled = []) {
+  if (!workflowIds?.length || !contactId) return {};
+
+  const { ghlLocationId, ghlToken } = getConfig().clubs[clubNumber];
+  const workflows = [...enrolled];
+  const workflowsPending = [];
+  for (const workflowId of workflowIds) {
+    if (await addContactToWorkflow(contactId, workflowId, ghlLocationId, ghlToken) !== null) {
+      workflows.push(workflowId);
+    } else {
+      workflowsPending.push(workflowId);
+    }
+  }
+  return { workflows, workflowsPending };
+}
+
+// ═══════════════════════════════════════════
+// GHL OPPORTUNITIES (campaign pipelines, see lib/opportunities.js)
+// ═══════════════════════════════════════════
+
+// Open an opportunity for a newly synced prospect if their campaign has a pipeline at this club
+// Returns the fields to store on the prospect's ledger entry ({} if there's no pipeline)
+async function openOpportunity(clubNumber, campaign, contactId, prospect) {
+  const settings = getOpportunitySettings(getConfig().campaigns[campaign]?.opportunity, clubNumber);
+  if (!settings || !contactId) return {};
+
+  const { ghlLocationId, ghlToken } = getConfig().clubs[clubNumber];
+  const fields = getContactFields(prospect);
+  const name = `${fields.firstName} ${fields.lastName} - ${campaign}`.trim();
+  const opportunityId = await createOpportunity(contactId, name, settings, ghlLocationId, ghlToken);
+
+  // Not created - retried on the next cycle that sees this prospect
+  if (!opportunityId) return { opportunityId: null, opportunityPending: true };
+  return { opportunityId, opportunityStatus: 'open', opportunityPending: false };
+}
+
+// Move a synced prospect's opportunity to won/lost (trigger: "conversion" or "pos:<rule>")
+// Does nothing if the prospect has no open opportunity or their campaign doesn't ask for it
+async function settleOpportunity(memberId, trigger) {
+  const entry = ledger.getProspect(memberId);
+  if (!entry?.opportunityId || entry.opportunityStatus !== 'open') return;
+
+  const settings = getOpportunitySettings(getConfig().campaigns[entry.campaign]?.opportunity, entry.clubNumber);
+  if (!settings) return;
+
+  let status = null;
+  if (trigger === 'conversion') {
+    status = settings.onConversion;
+  } else if (settings.onPosSale?.rules.includes(trigger.replace('pos:', ''))) {
+    status = settings.onPosSale.status;
+  }
+  if (!status) return;
+
+  const { ghlLocationId, ghlToken } = getConfig().clubs[entry.clubNumber];
+  const moved = await closeOpportunity(entry.opportunityId, status, settings, ghlLocationId, ghlToken);
+  if (moved) {
+    ledger.updateProspect(memberId, {
+      opportunityStatus: status,
+      opportunityClosedBy: trigger,
+      opportunityClosedAt: new Date().toISOString()
+    });
+  }
+}
+
+// ═══════════════════════════════════════════
+// POS RULE SYNC FUNCTIONS (purchase -> GHL tag, see lib/posRules.js)
+// ═══════════════════════════════════════════
+
+// ABC API: Get POS Transactions within a date range
+// Returns null if the fetch failed (as opposed to [] for no transactions)
+async function getPosTransactions(clubNumber, range = todayRange(clubNumber)) {
   try {
-    const response = await axios.get(
-      'https://services.leadconnectorhq.com/contacts/',
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Version': '2021-07-28',
-          'Content-Type': 'application/json'
-        },
-        params: {
-          locationId: locationId,
-          query: email
-        }
-      }
-    );
-    
-    const contacts = response.data.contacts || [];
-    return contacts.find(c => c.email?.toLowerCase() === email.toLowerCase()) || null;
+    return await fetchPosTransactions(clubNumber, range);
   } catch (error) {
-    console.error(`[GHL] Error searching contact by email:`, error.response?.data || error.message);
+    abcLog.error('Error fetching POS transactions', { club: clubNumber, error: error.data || error.message });
     return null;
   }
 }
 
-// GHL API: Search for existing contact by ABC ID
-async function searchGhlContactByAbcId(abcId, locationId, token) {
+// Extract items from a transaction (nested under items.item)
+function extractItems(transaction) {
+  const itemsWrapper = transaction.items || {};
+  const items = itemsWrapper.item || [];
+  return Array.isArray(items) ? items : [items];
+}
+
+function isReturn(transaction) {
+  return transaction.return === 'true' || transaction.return === true;
+}
+
+// ABC API: Get member by ID (null if not found or the lookup failed)
+async function getAbcMember(clubNumber, memberId) {
   try {
-    const response = await axios.get(
-      'https://services.leadconnectorhq.com/contacts/',
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Version': '2021-07-28',
-          'Content-Type': 'application/json'
-        },
-        params: {
-          locationId: locationId,
-          query: abcId.toString()
-        }
-      }
-    );
-    
-    const contacts = response.data.contacts || [];
-    // Check custom field for ABC ID match
-    return contacts.find(c => {
-      const customFields = c.customFields || [];
-      return customFields.some(cf => 
-        cf.key === ABC_ID_FIELD_KEY && cf.value === abcId.toString()
-      );
-    }) || null;
+    const member = await fetchMember(clubNumber, memberId);
+    if (!member) abcLog.error('Member not found', { club: clubNumber, memberId });
+    return member;
   } catch (error) {
-    console.error(`[GHL] Error searching contact by ABC ID:`, error.response?.data || error.message);
+    abcLog.error('Error fetching member', { club: clubNumber, memberId, error: error.data || error.message });
     return null;
   }
 }
 
-// GHL API: Create contact
-async function createGhlContact(prospect, locationId, token, campaign) {
-  const tag = CAMPAIGN_TAGS[campaign];
-  
-  // Get personal info - check nested structure
-  const personal = prospect.personal || {};
-  const firstName = prospect.firstName || personal.firstName || '';
-  const lastName = prospect.lastName || personal.lastName || '';
-  const email = prospect.email || personal.email || '';
-  // ABC uses primaryPhone and mobilePhone in the personal object
-  const phone = personal.primaryPhone || personal.mobilePhone || 
-                prospect.primaryPhone || prospect.mobilePhone ||
-                prospect.homePhone || prospect.cellPhone || '';
-  const memberId = prospect.memberId || prospect.id || '';
-  
-  // Must have at least email or phone to create contact
-  if (!email && !phone) {
-    console.log(`[GHL] Skipping contact creation - no email or phone for ${firstName} ${lastName} (${memberId})`);
-    return null;
+// Original sale a return reverses: the member's latest unreversed sale for the rule that
+// shares an item with the return (null if none is in the ledger)
+function findOriginalSale(rule, memberId, itemNames) {
+  const sales = ledger.listPosTransactions(entry =>
+    entry.rule === rule.name &&
+    entry.memberId === memberId &&
+    !entry.reversal &&
+    !entry.reversedBy &&
+    SYNCED_OUTCOMES.includes(entry.outcome) &&
+    (entry.items || []).some(name => itemNames.includes(name))
+  );
+  sales.sort((a, b) => b.firstSeenAt.localeCompare(a.firstSeenAt));
+  return sales[0] || null;
+}
+
+// Whether a member still has a sale for the rule that hasn't been returned (besides exceptId)
+function hasActivePurchase(rule, memberId, exceptId) {
+  return ledger.listPosTransactions(entry =>
+    entry.id !== exceptId &&
+    entry.rule === rule.name &&
+    entry.memberId === memberId &&
+    !entry.reversal &&
+    !entry.reversedBy &&
+    SYNCED_OUTCOMES.includes(entry.outcome)
+  ).length > 0;
+}
+
+// Undo a refunded purchase: match the return to the original sale and, if the member has no
+// other active purchase for the rule, remove the rule's tags and/or add its refund tag
+// Returns 'reversed', 'unmatched' or 'failed'; matched returns are recorded in the ledger
+async function reversePosReturn(tx, rule, returnItems, clubNumber) {
+  const memberId = (tx.memberId || '').toString();
+  const itemNames = returnItems.map(item => item.name);
+
+  const original = findOriginalSale(rule, memberId, itemNames);
+  if (!original) {
+    posLog.info("Return doesn't match a synced sale - skipping", { rule: rule.name, action: 'reverse_return', outcome: 'unmatched' });
+    return 'unmatched';
   }
-  
-  // Build contact data - only include email if it's valid
-  const contactData = {
-    locationId: locationId,
-    firstName: firstName,
-    lastName: lastName,
-    phone: phone,
-    tags: tag ? [tag] : [],
-    customFields: [
-      {
-        key: ABC_ID_FIELD_KEY,
-        value: memberId.toString()
+
+  const entry = { clubNumber, memberId, items: itemNames, reversal: true, originalTxId: original.txId };
+  const stillActive = hasActivePurchase(rule, memberId, original.id);
+  const removeTags = !stillActive && rule.onReturn.removeTags ? rule.tags : [];
+  const addTags = !stillActive && rule.onReturn.refundTag ? [rule.onReturn.refundTag] : [];
+
+  let result = { addedTags: [], removedTags: [] };
+  if (original.ghlContactId && (removeTags.length > 0 || addTags.length > 0)) {
+    const { ghlLocationId, ghlToken } = getConfig().clubs[original.clubNumber] || getConfig().clubs[clubNumber];
+    result = await retagGhlContact(original.ghlContactId, addTags, removeTags, ghlLocationId, ghlToken);
+  }
+
+  if (!result) {
+    ledger.recordPosTransaction(tx.transactionId, rule.name, { ...entry, outcome: 'failed', ghlContactId: original.ghlContactId, reason: 'retag_failed' });
+    return 'failed';
+  }
+
+  ledger.recordPosTransaction(tx.transactionId, rule.name, {
+    ...entry,
+    outcome: 'reversed',
+    ghlContactId: original.ghlContactId,
+    reason: stillActive ? 'other_active_purchase' : null,
+    removedTags: result.removedTags,
+    addedTags: result.addedTags
+  });
+  ledger.updatePosTransaction(original.txId, rule.name, { reversedBy: tx.transactionId.toString() });
+
+  posLog.info('Return reverses sale', {
+    rule: rule.name,
+    action: 'reverse_return',
+    outcome: 'reversed',
+    originalTxId: original.txId,
+    reason: stillActive ? 'other_active_purchase' : undefined,
+    removedTags: result.removedTags,
+    addedTags: result.addedTags
+  });
+  return 'reversed';
+}
+
+// Clubs that have at least one POS rule
+function getPosClubs() {
+  const { posRules } = getConfig();
+  return [...new Set(posRules.flatMap(rule => rule.clubs))];
+}
+
+// Main POS sync for one club: one transaction scan and member lookup, every rule applied
+// Returns a summary with per-rule counters; ok is false if the ABC fetch failed
+async function syncPosSales(clubNumber, range = todayRange(clubNumber)) {
+  const { clubs, posRules } = getConfig();
+  const rules = getRulesForClub(posRules, clubNumber);
+  const summary = { clubNumber, range, ok: false, error: null, transactions: 0, rules: {} };
+  for (const rule of rules) {
+    summary.rules[rule.name] = { matched: 0, created: 0, tagged: 0, updated: 0, alreadyTagged: 0, ambiguous: 0, skipped: 0, failed: 0, reversed: 0, skippedReturns: 0, skippedAlreadySynced: 0, queued: 0 };
+  }
+
+  if (!clubs[clubNumber]) {
+    posLog.error('No configuration found for club', { club: clubNumber });
+    summary.error = 'unknown_club';
+    return summary;
+  }
+  if (rules.length === 0) {
+    summary.ok = true;
+    return summary;
+  }
+
+  posLog.info('Polling POS transactions', { club: clubNumber, range: toAbcRange(range), rules: rules.map(r => r.name) });
+
+  // Get POS transactions for the range
+  const transactions = await getPosTransactions(clubNumber, range);
+  if (!transactions) {
+    posLog.error('Could not fetch POS transactions - will retry next cycle', { club: clubNumber, outcome: 'failed' });
+    summary.error = 'abc_fetch_failed';
+    return summary;
+  }
+  posLog.info('Fetched POS transactions', { club: clubNumber, range: toAbcRange(range), count: transactions.length });
+  summary.transactions = transactions.length;
+
+  for (const tx of transactions) {
+    const items = extractItems(tx);
+    const txIsReturn = isReturn(tx);
+
+    // Returns match regardless of minAmount, since their amounts are negative
+    const matchedRules = rules.filter(rule => matchPosRule(rule, clubNumber, items, { ignoreMinAmount: txIsReturn }).length > 0);
+    if (matchedRules.length === 0) continue;
+
+    // Failures are retried by the retry queue on its own schedule, not on every scan
+    if (retryQueue.isQueued('pos', tx.transactionId)) {
+      matchedRules.forEach(rule => summary.rules[rule.name].queued++);
+      continue;
+    }
+
+    const pendingRules = [];
+    for (const rule of matchedRules) {
+      if (!txIsReturn) summary.rules[rule.name].matched++;
+      // Skip rules already in the ledger for this transaction
+      if (isPosTransactionSynced(tx.transactionId, rule.name)) {
+        summary.rules[rule.name].skippedAlreadySynced++;
+      } else {
+        pendingRules.push(rule);
       }
-    ]
+    }
+    if (pendingRules.length === 0) continue;
+
+    const outcomes = await syncPosTransaction(clubNumber, tx, pendingRules);
+    for (const [ruleName, outcome] of Object.entries(outcomes)) {
+      const counter = { 'skipped-duplicate': 'alreadyTagged', unmatched: 'skippedReturns' }[outcome] || outcome;
+      summary.rules[ruleName][counter]++;
+    }
+  }
+
+  for (const [ruleName, counts] of Object.entries(summary.rules)) {
+    posLog.info('Rule summary', { club: clubNumber, rule: ruleName, ...counts });
+  }
+
+  summary.ok = true;
+  return summary;
+}
+
+// Whether a transaction has been handled for a rule (failed entries don't count unless discarded)
+function isPosTransactionSynced(txId, ruleName) {
+  const entry = ledger.getPosTransaction(txId, ruleName);
+  return !!entry && (entry.outcome !== 'failed' || !!entry.discarded);
+}
+
+// Apply the given rules to one POS transaction (a sale or a return) and record the results
+// Failed rules go on the retry queue with the transaction; once all succeed it comes off
+// Returns { ruleName: outcome } ('unmatched' for returns with no synced sale to reverse)
+function syncPosTransaction(clubNumber, tx, rules) {
+  const fields = { club: clubNumber, txId: tx.transactionId?.toString(), memberId: tx.memberId?.toString() };
+  return withRecord(fields, () => syncPosTransactionRecord(clubNumber, tx, rules));
+}
+
+async function syncPosTransactionRecord(clubNumber, tx, rules) {
+  const startedAt = Date.now();
+  const outcomes = isReturn(tx)
+    ? await reversePosReturns(clubNumber, tx, rules)
+    : await syncPosSale(clubNumber, tx, rules);
+
+  const failedRules = Object.keys(outcomes).filter(ruleName => outcomes[ruleName] === 'failed');
+  if (failedRules.length > 0) {
+    retryQueue.recordFailure('pos', tx.transactionId, {
+      clubNumber,
+      reason: ledger.getPosTransaction(tx.transactionId, failedRules[0])?.reason,
+      payload: { tx, rules: failedRules }
+    });
+  } else {
+    retryQueue.recordSuccess('pos', tx.transactionId);
+  }
+  posLog.info('POS transaction synced', {
+    action: isReturn(tx) ? 'reverse_return' : 'sync_sale',
+    outcomes,
+    durationMs: Date.now() - startedAt
+  });
+  return outcomes;
+}
+
+// Reverse each rule's part of a POS return
+async function reversePosReturns(clubNumber, tx, rules) {
+  const items = extractItems(tx);
+  const outcomes = {};
+  for (const rule of rules) {
+    const returnItems = matchPosRule(rule, clubNumber, items, { ignoreMinAmount: true });
+    outcomes[rule.name] = await reversePosReturn(tx, rule, returnItems, clubNumber);
+  }
+  return outcomes;
+}
+
+// Tag the buyer of a POS sale with every matching rule's tags (one member lookup per sale)
+async function syncPosSale(clubNumber, tx, rules) {
+  const { ghlLocationId, ghlToken } = getConfig().clubs[clubNumber];
+  const txId = tx.transactionId;
+  const items = extractItems(tx);
+  const outcomes = {};
+
+  const recordAll = (outcome, ghlContactId, reason, extra = {}) => {
+    for (const rule of rules) {
+      // memberId and item names let a later return find this sale
+      const itemNames = matchPosRule(rule, clubNumber, items).map(item => item.name);
+      ledger.recordPosTransaction(txId, rule.name, {
+        clubNumber, outcome, ghlContactId, reason, memberId: (tx.memberId || '').toString(), items: itemNames, ...extra
+      });
+      outcomes[rule.name] = outcome;
+    }
+    return outcomes;
   };
-  
-  // Only add email if it looks valid
-  if (email && email.includes('@')) {
-    contactData.email = email;
+
+  // Look up member details from ABC (use member's homeClub, not the POS club)
+  const memberHomeClub = tx.homeClub || clubNumber;
+  const member = await getAbcMember(memberHomeClub, tx.memberId);
+  if (!member) {
+    posLog.error('Could not fetch member - will retry', { homeClub: memberHomeClub });
+    return recordAll('failed', null, 'member_lookup_failed');
   }
-  
+
+  const tags = [...new Set(rules.flatMap(rule => rule.tags))];
+
+  // Look for an existing GHL contact (matchPriority order: ABC ID, email, phone)
+  const existing = await findExistingContact(getContactFields(member), ghlLocationId, ghlToken);
+
+  if (existing?.failed) {
+    return recordAll('failed', null, `search_failed_${existing.matchedBy}`);
+  }
+
+  if (existing?.ambiguous) {
+    posLog.error('Matches several GHL contacts - flagged, not tagging', { matchedBy: existing.matchedBy, candidates: existing.candidates });
+    return recordAll('ambiguous', null, `ambiguous_${existing.matchedBy}`, { candidates: existing.candidates });
+  }
+
+  if (existing) {
+    // Contact exists - add the rule tags (keeping its other tags) and fill in blank fields
+    const result = await upsertGhlContact(existing.contact, member, tags, ghlLocationId, ghlToken, clubNumber);
+    recordAll(getUpsertOutcome(result), existing.contact.id, result ? existing.matchedBy : 'update_failed');
+  } else if (!getContactFields(member).email && !getContactFields(member).phone) {
+    // GHL needs an email or phone to create a contact - retrying won't change that
+    recordAll('skipped', null, 'no_email_or_phone');
+  } else {
+    // Contact doesn't exist - create with the rule tags
+    const contact = await createGhlContact(member, tags, ghlLocationId, ghlToken, clubNumber);
+    recordAll(contact ? 'created' : 'failed', contact?.contact?.id, contact ? null : 'create_failed');
+  }
+
+  // A purchase by a synced prospect can close their campaign opportunity
+  for (const rule of rules) {
+    await settleOpportunity(tx.memberId, `pos:${rule.name}`);
+  }
+  return outcomes;
+}
+
+// Run the POS job of every club that has rules now (skipping any that are already running or paused)
+async function syncAllPosSales() {
+  const results = [];
+  for (const clubNumber of getPosClubs()) {
+    const { ran, reason, result, error } = await scheduler.runNow(`pos:${clubNumber}`);
+    if (!ran) {
+      results.push({ clubNumber, skipped: reason });
+    } else {
+      results.push(result || { clubNumber, ok: false, error });
+    }
+  }
+  return results;
+}
+
+// ═══════════════════════════════════════════
+// PROSPECT -> MEMBER CONVERSION TRACKING
+// ═══════════════════════════════════════════
+
+// Prospect sync outcomes that left us with a GHL contact worth following up
+const SYNCED_OUTCOMES = ['created', 'tagged', 'updated', 'skipped-duplicate'];
+
+// ABC API: Get members who signed an agreement within a date range
+// Returns null if the fetch failed (as opposed to [] for no conversions)
+async function getConvertedMembers(clubNumber, range = todayRange(clubNumber)) {
   try {
-    const response = await axios.post(
-      'https://services.leadconnectorhq.com/contacts/',
-      contactData,
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Version': '2021-07-28',
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-    
-    console.log(`[GHL] Created contact: ${contactData.firstName} ${contactData.lastName} (${contactData.email || 'no email'}, ${contactData.phone || 'no phone'}) with tag: ${tag}`);
-    return response.data;
+    return await fetchConvertedMembers(clubNumber, range);
   } catch (error) {
-    console.error(`[GHL] Error creating contact:`, error.response?.data || error.message);
+    abcLog.error('Error fetching members', { club: clubNumber, error: error.data || error.message });
     return null;
   }
 }
 
-// Main sync function for a single club
-async function syncClub(clubNumber) {
-  const locationConfig = LOCATIONS[clubNumber];
+// Date the member converted, as ABC reports it (falls back to today)
+function getConversionDate(member, clubNumber) {
+  const agreement = member.agreement || {};
+  const date = agreement.convertedDate || agreement.signDate || agreement.sinceDate || member.convertedDate;
+  return date ? date.toString().slice(0, 10) : getTodayDate(getClubTimezone(clubNumber));
+}
+
+// Watch for prospects we synced signing an agreement: swap their campaign tag for the
+// conversion tag and set the membership fields (config: conversion)
+// Returns a summary; ok is false if the ABC fetch failed
+async function syncConversions(clubNumber, range = todayRange(clubNumber)) {
+  const summary = { clubNumber, range, ok: false, error: null, fetched: 0, matched: 0, converted: 0, skipped: 0, failed: 0 };
+
+  const locationConfig = getConfig().clubs[clubNumber];
   if (!locationConfig) {
-    console.error(`[SYNC] No configuration found for club ${clubNumber}`);
-    return;
+    convertLog.error('No configuration found for club', { club: clubNumber });
+    summary.error = 'unknown_club';
+    return summary;
   }
-  
-  const { ghlLocationId, ghlToken } = locationConfig;
-  
-  console.log(`[SYNC] Polling club ${clubNumber}...`);
-  
-  // Get prospects from ABC
-  const allProspects = await getAbcProspects(clubNumber);
-  console.log(`[SYNC] Found ${allProspects.length} total prospects for today`);
-  
-  // Filter by campaign and entry source
-  const filteredProspects = filterProspects(allProspects);
-  console.log(`[SYNC] ${filteredProspects.length} prospects match criteria`);
-  
-  for (const prospect of filteredProspects) {
-    const memberId = prospect.memberId || prospect.id;
-    const campaign = prospect.campaign || prospect.campaignName || 
-                     prospect.agreement?.campaign || prospect.agreement?.campaignName;
-    
-    // Skip if already synced this session
-    if (syncedMemberIds.has(memberId)) {
-      console.log(`[SYNC] Skipping ${memberId} - already synced this session`);
+
+  // Nothing to watch for - don't spend an ABC call
+  const watched = ledger.listProspects(entry => entry.clubNumber === clubNumber && SYNCED_OUTCOMES.includes(entry.outcome));
+  if (watched.length === 0) {
+    summary.ok = true;
+    return summary;
+  }
+
+  const members = await getConvertedMembers(clubNumber, range);
+  if (!members) {
+    convertLog.error('Could not fetch members - will retry next cycle', { club: clubNumber, outcome: 'failed' });
+    summary.error = 'abc_fetch_failed';
+    return summary;
+  }
+  summary.fetched = members.length;
+
+  const watchedById = new Map(watched.map(entry => [entry.id, entry]));
+  for (const member of members) {
+    const memberId = (member.memberId || member.id || '').toString();
+    const prospect = watchedById.get(memberId);
+    if (!prospect) continue;
+    summary.matched++;
+
+    // Skip if already recorded (failed attempts are retried)
+    const existing = ledger.getConversion(memberId);
+    if (existing && existing.outcome !== 'failed') {
+      // In case moving the opportunity failed last time (no-op once it's closed)
+      await settleOpportunity(memberId, 'conversion');
+      summary.skipped++;
       continue;
     }
-    
-    // Get email for duplicate check
-    const email = prospect.email || prospect.personal?.email;
-    
-    // Check for duplicate by email
-    if (email) {
-      const existingByEmail = await searchGhlContactByEmail(
-        email, 
-        ghlLocationId, 
-        ghlToken
-      );
-      
-      if (existingByEmail) {
-        console.log(`[SYNC] Skipping ${memberId} - email already exists in GHL`);
-        syncedMemberIds.add(memberId);
-        continue;
-      }
+
+    const outcome = await withRecord({ club: clubNumber, memberId }, () => convertProspect(clubNumber, member, prospect));
+    if (outcome === 'failed') {
+      summary.failed++;
+    } else {
+      summary.converted++;
+    }
+  }
+
+  convertLog.info('Summary', {
+    club: clubNumber,
+    matched: summary.matched,
+    converted: summary.converted,
+    skipped: summary.skipped,
+    failed: summary.failed
+  });
+  summary.ok = true;
+  return summary;
+}
+
+// Swap a converted prospect's campaign tag for the conversion tag and record it; returns the outcome
+async function convertProspect(clubNumber, member, prospect) {
+  const { ghlLocationId, ghlToken } = getConfig().clubs[clubNumber];
+  const memberId = prospect.id;
+  const startedAt = Date.now();
+
+  const campaign = prospect.campaign || getProspectCampaign(member);
+  const campaignTag = getConfig().campaigns[campaign]?.tag;
+  const result = await convertGhlContact(prospect.ghlContactId, member, campaignTag, ghlLocationId, ghlToken);
+  const outcome = getUpsertOutcome(result);
+  const convertedDate = getConversionDate(member, clubNumber);
+
+  ledger.recordConversion(memberId, {
+    clubNumber,
+    campaign: campaign || null,
+    outcome,
+    ghlContactId: prospect.ghlContactId,
+    reason: result ? null : 'update_failed',
+    convertedDate,
+    prospectSyncedAt: prospect.firstSeenAt
+  });
+
+  if (outcome !== 'failed') await settleOpportunity(memberId, 'conversion');
+  convertLog.info('Prospect converted to member', {
+    action: 'convert',
+    campaign,
+    convertedDate,
+    contactId: prospect.ghlContactId,
+    outcome,
+    durationMs: Date.now() - startedAt
+  });
+  return outcome;
+}
+
+// Conversion report per club and campaign: prospects synced, how many converted, and how fast
+// since (YYYY-MM-DD, optional) only counts prospects first synced on or after that date
+function getConversionReport(since) {
+  const report = {};
+  const prospects = ledger.listProspects(entry =>
+    SYNCED_OUTCOMES.includes(entry.outcome) && (!since || entry.firstSeenAt >= since)
+  );
+
+  for (const prospect of prospects) {
+    const club = report[prospect.clubNumber] = report[prospect.clubNumber] || {};
+    const campaign = prospect.campaign || 'unknown';
+    const row = club[campaign] = club[campaign] || { prospects: 0, converted: 0, conversionRate: 0, avgDaysToConvert: null, totalDays: 0 };
+    row.prospects++;
+
+    const conversion = ledger.getConversion(prospect.id);
+    if (conversion && conversion.outcome !== 'failed') {
+      row.converted++;
+      const days = (new Date(conversion.convertedDate) - new Date(prospect.firstSeenAt.slice(0, 10))) / (24 * 60 * 60 * 1000);
+      row.totalDays += Math.max(0, days);
+    }
+  }
+
+  for (const club of Object.values(report)) {
+    for (const row of Object.values(club)) {
+      row.conversionRate = Math.round((row.converted / row.prospects) * 1000) / 10;
+      row.avgDaysToConvert = row.converted > 0 ? Math.round((row.totalDays / row.converted) * 10) / 10 : null;
+      delete row.totalDays;
+    }
+  }
+
+  return report;
+}
+
+// ═══════════════════════════════════════════
+// CHECK-IN ACTIVITY SYNC (visit fields and milestone tags, see lib/checkins.js)
+// ═══════════════════════════════════════════
+
+// Check-in outcomes that leave the contact's visit fields current
+const CHECKIN_SYNCED_OUTCOMES = ['tagged', 'updated', 'skipped-duplicate'];
+
+// ABC API: Get check-ins at a club within a date range
+// Returns null if the fetch failed (as opposed to [] for no check-ins)
+async function getCheckins(clubNumber, range = todayRange(clubNumber)) {
+  try {
+    return await fetchCheckins(clubNumber, range);
+  } catch (error) {
+    abcLog.error('Error fetching check-ins', { club: clubNumber, error: error.data || error.message });
+    return null;
+  }
+}
+
+// ABC API: Get a member's check-ins within a date range (null if the fetch failed)
+async function getMemberCheckins(clubNumber, memberId, range) {
+  try {
+    return await fetchMemberCheckins(clubNumber, memberId, range);
+  } catch (error) {
+    abcLog.error('Error fetching member check-ins', { club: clubNumber, memberId, error: error.data || error.message });
+    return null;
+  }
+}
+
+// Clubs whose check-ins are synced (config: checkins)
+function getCheckinClubs() {
+  return getConfig().checkins?.clubs || [];
+}
+
+// Keep GHL contacts' visit fields current for the members who checked in at a club, and tag
+// milestones as they are reached. Members with no GHL contact are recorded but never created
+// Returns a summary; ok is false if the ABC fetch failed
+async function syncCheckins(clubNumber, range = todayRange(clubNumber)) {
+  const summary = { clubNumber, range, ok: false, error: null, fetched: 0, newVisits: 0, members: 0, updated: 0, tagged: 0, unchanged: 0, noContact: 0, ambiguous: 0, failed: 0, pendingApplied: 0, refreshed: 0 };
+
+  if (!getConfig().clubs[clubNumber]) {
+    checkinLog.error('No configuration found for club', { club: clubNumber });
+    summary.error = 'unknown_club';
+    return summary;
+  }
+
+  const checkins = await getCheckins(clubNumber, range);
+  if (!checkins) {
+    checkinLog.error('Could not fetch check-ins - will retry next cycle', { club: clubNumber, outcome: 'failed' });
+    summary.error = 'abc_fetch_failed';
+    return summary;
+  }
+  summary.fetched = checkins.length;
+
+  // New visits per member - check-ins already counted are still in their entry's recent visits
+  const visitsByMember = new Map();
+  for (const checkin of checkins.filter(isVisit)) {
+    const memberId = getCheckinMemberId(checkin);
+    const seen = (ledger.getCheckin(memberId)?.recent || []).some(visit => visit.id === getCheckinId(checkin));
+    if (seen) continue;
+    if (!visitsByMember.has(memberId)) visitsByMember.set(memberId, []);
+    visitsByMember.get(memberId).push(checkin);
+    summary.newVisits++;
+  }
+  summary.members = visitsByMember.size;
+
+  const today = getTodayDate(getClubTimezone(clubNumber));
+  for (const [memberId, visits] of visitsByMember) {
+    const outcome = await syncMemberVisits(clubNumber, memberId, visits, today);
+    const counter = { 'skipped-duplicate': 'unchanged', 'no-contact': 'noContact' }[outcome] || outcome;
+    summary[counter]++;
+  }
+
+  summary.pendingApplied = await applyPendingMilestones(clubNumber, today, visitsByMember);
+  summary.refreshed = await refreshVisitCounts(clubNumber, today);
+
+  checkinLog.info('Summary', {
+    club: clubNumber,
+    fetched: summary.fetched,
+    newVisits: summary.newVisits,
+    members: summary.members,
+    updated: summary.updated,
+    tagged: summary.tagged,
+    noContact: summary.noContact,
+    failed: summary.failed,
+    pendingApplied: summary.pendingApplied,
+    refreshed: summary.refreshed
+  });
+  summary.ok = true;
+  return summary;
+}
+
+// Add one member's new check-ins to their visit stats and write them to their GHL contact
+// A failed ABC lookup or GHL write leaves the stats as they were, so the same check-ins are
+// picked up again on the next run. Milestones reached while the member has no single GHL contact
+// are kept on their entry (pendingTags) and tagged once the contact is found
+// Returns the ledger outcome
+function syncMemberVisits(clubNumber, memberId, checkins, today) {
+  return withRecord({ club: clubNumber, memberId }, () => syncMemberVisitsRecord(clubNumber, memberId, checkins, today));
+}
+
+async function syncMemberVisitsRecord(clubNumber, memberId, checkins, today) {
+  const { ghlLocationId, ghlToken } = getConfig().clubs[clubNumber];
+  const { fields, milestones } = getConfig().checkins;
+  const entry = ledger.getCheckin(memberId);
+  const previous = entry?.recent ? entry : null;
+  const pendingTags = previous?.pendingTags || [];
+  const startedAt = Date.now();
+
+  // stats is null until the member's starting count is known
+  const record = (outcome, stats, extra = {}) => {
+    ledger.recordCheckin(memberId, {
+      clubNumber,
+      outcome,
+      ...(stats && {
+        firstCheckIn: stats.firstCheckIn,
+        lastCheckIn: stats.lastCheckIn,
+        totalVisits: stats.totalVisits,
+        recent: stats.recent,
+        visits30Days: countRecentVisits(stats.recent, today)
+      }),
+      ...extra
+    });
+    checkinLog.info('Check-ins synced', {
+      action: 'sync_checkins',
+      outcome,
+      reason: extra.reason,
+      visits: checkins.length,
+      totalVisits: stats?.totalVisits,
+      contactId: extra.ghlContactId,
+      durationMs: Date.now() - startedAt
+    });
+    return outcome;
+  };
+
+  // First time we see this member - start from ABC's visit count and their last 30 days of check-ins
+  let stats = previous;
+  if (!stats) {
+    const homeClub = getCheckinHomeClub(checkins[0]) || clubNumber;
+    const member = await getAbcMember(homeClub, memberId);
+    if (!member) return record('failed', null, { reason: 'member_lookup_failed' });
+    const history = await getMemberCheckins(homeClub, memberId, getVisitWindow(today));
+    if (!history) return record('failed', null, { reason: 'checkin_history_failed' });
+    stats = getInitialStats(member, checkins, history);
+  }
+  const { stats: updated, reached } = addVisits(stats, checkins, milestones, today);
+  const tags = [...new Set([...pendingTags, ...reached.map(milestone => milestone.tag)])];
+
+  // Only contacts that carry the ABC ID are updated - check-ins never create contacts
+  const contacts = await searchGhlContactsByAbcId(memberId, ghlLocationId, ghlToken);
+  if (!contacts) return record('failed', previous, { reason: 'search_failed_abc_id', pendingTags });
+  if (contacts.length > 1) {
+    return record('ambiguous', updated, { reason: 'ambiguous_abc_id', candidates: contacts.map(contact => contact.id), pendingTags: tags });
+  }
+  if (contacts.length === 0) return record('no-contact', updated, { reason: 'no_ghl_contact', pendingTags: tags });
+
+  const contact = contacts[0];
+  const result = await updateGhlContactActivity(contact, getVisitFields(updated, fields, today), tags, ghlLocationId, ghlToken);
+  if (!result) return record('failed', previous, { ghlContactId: contact.id, reason: 'update_failed', pendingTags });
+
+  if (tags.length > 0) checkinLog.info('Milestone reached', { contactId: contact.id, totalVisits: updated.totalVisits, tags });
+  return record(getUpsertOutcome(result), updated, { ghlContactId: contact.id, pendingTags: [] });
+}
+
+// Look again for the GHL contact of members with milestones still to tag (pendingTags), as long
+// as they visited in the last 30 days. synced holds the members this run has already been through
+// Returns how many got their milestone tags
+async function applyPendingMilestones(clubNumber, today, synced) {
+  const pending = ledger.listCheckins(entry =>
+    entry.clubNumber === clubNumber &&
+    entry.pendingTags?.length > 0 &&
+    !synced.has(entry.id) &&
+    countRecentVisits(entry.recent, today) > 0
+  );
+
+  let applied = 0;
+  for (const entry of pending) {
+    const outcome = await syncMemberVisits(clubNumber, entry.id, [], today);
+    if (CHECKIN_SYNCED_OUTCOMES.includes(outcome)) applied++;
+  }
+  return applied;
+}
+
+// The 30-day count goes down without anyone checking in: rewrite it on contacts whose count has
+// dropped since it was last written. Returns how many were rewritten
+async function refreshVisitCounts(clubNumber, today) {
+  const { ghlLocationId, ghlToken } = getConfig().clubs[clubNumber];
+  const { fields } = getConfig().checkins;
+  const stale = ledger.listCheckins(entry =>
+    entry.clubNumber === clubNumber &&
+    entry.ghlContactId &&
+    CHECKIN_SYNCED_OUTCOMES.includes(entry.outcome) &&
+    countRecentVisits(entry.recent, today) !== entry.visits30Days
+  );
+
+  let refreshed = 0;
+  for (const entry of stale) {
+    const contact = await getGhlContact(entry.ghlContactId, ghlLocationId, ghlToken);
+    const result = contact && await updateGhlContactActivity(contact, getVisitFields(entry, fields, today), [], ghlLocationId, ghlToken);
+    if (!result) continue;
+
+    const recent = getRecentVisits(entry.recent, today);
+    ledger.updateCheckin(entry.id, { recent, visits30Days: recent.length });
+    refreshed++;
+  }
+  return refreshed;
+}
+
+// ═══════════════════════════════════════════
+// RECONCILIATION (ABC vs GHL)
+// ═══════════════════════════════════════════
+
+// Every qualifying prospect and POS rule buyer in a range is looked up in GHL and put in a category:
+//   ok         - one contact, carrying every expected tag
+//   missing    - no contact
+//   untagged   - one contact, missing some expected tag
+//   duplicated - several contacts with the ABC ID (or, without one, matching the email / phone)
+//   error      - a GHL search or ABC member lookup failed
+const RECONCILE_CATEGORIES = ['ok', 'missing', 'untagged', 'duplicated', 'error'];
+
+// Latest report per club (nightly job or endpoint), for GET /reconciliation
+const lastReconciliations = {};
+
+// Tags a prospect's contact should carry: the campaign tag and their filter rule's tags, plus the
+// conversion tag once they converted (which replaces the campaign tag if conversion.removeCampaignTag is on)
+function getExpectedProspectTags(memberId, campaign, rule) {
+  const { campaigns, conversion } = getConfig();
+  const campaignTag = campaigns[campaign]?.tag;
+  const ruleTags = rule?.tags || [];
+  const converted = ledger.getConversion(memberId);
+  if (!converted || converted.outcome === 'failed') return getProspectTags(campaign, rule);
+  const tags = conversion.removeCampaignTag ? [conversion.tag, ...ruleTags] : [campaignTag, conversion.tag, ...ruleTags];
+  return [...new Set(tags.filter(Boolean))];
+}
+
+// Find an ABC record's GHL contact: by ABC ID, then by email / phone as the sync would
+// getFields() is only called when the ABC ID finds nothing, since for POS buyers it is an ABC lookup
+// Returns { contact, matchedBy }, or { category, reason, contactIds } when there isn't exactly one
+async function findReconciledContact(memberId, getFields, club) {
+  const byAbcId = await searchGhlContactsByAbcId(memberId, club.ghlLocationId, club.ghlToken);
+  if (!byAbcId) return { category: 'error', reason: 'search_failed_abc_id' };
+  if (byAbcId.length > 1) return { category: 'duplicated', reason: 'abc_id', contactIds: byAbcId.map(c => c.id) };
+  if (byAbcId.length === 1) return { contact: byAbcId[0], matchedBy: 'abc_id' };
+
+  const fields = await getFields();
+  if (!fields) return { category: 'error', reason: 'member_lookup_failed' };
+
+  const existing = await findExistingContact({ ...fields, abcMemberId: '' }, club.ghlLocationId, club.ghlToken);
+  if (!existing) return { category: 'missing', reason: null };
+  if (existing.failed) return { category: 'error', reason: `search_failed_${existing.matchedBy}` };
+  if (existing.ambiguous) return { category: 'duplicated', reason: existing.matchedBy, contactIds: existing.candidates };
+  return { contact: existing.contact, matchedBy: existing.matchedBy };
+}
+
+// Check one ABC record against GHL
+// Returns { category, contactIds, missingTags, matchedBy, reason }
+async function reconcileRecord(memberId, expectedTags, getFields, club) {
+  const found = await findReconciledContact(memberId, getFields, club);
+  if (!found.contact) {
+    return { category: found.category, contactIds: found.contactIds || [], missingTags: expectedTags, matchedBy: null, reason: found.reason };
+  }
+
+  const contactTags = (found.contact.tags || []).map(tag => tag.toLowerCase());
+  const missingTags = expectedTags.filter(tag => !contactTags.includes(tag.toLowerCase()));
+  return {
+    category: missingTags.length > 0 ? 'untagged' : 'ok',
+    contactIds: [found.contact.id],
+    missingTags,
+    matchedBy: found.matchedBy,
+    reason: null
+  };
+}
+
+// Fix one record: add the missing tags to an untagged contact, or re-run the normal sync for a
+// missing one (resync returns its outcome). Duplicates and errors are left for a person to sort out
+// Returns what was done ('tagged', 'tag_failed' or the sync outcome), or null
+async function healRecord(check, club, resync) {
+  if (check.category === 'untagged') {
+    const result = await retagGhlContact(check.contactIds[0], check.missingTags, [], club.ghlLocationId, club.ghlToken);
+    return result ? 'tagged' : 'tag_failed';
+  }
+  if (check.category === 'missing') return resync();
+  return null;
+}
+
+// POS rule sales in a range, grouped by buyer: { memberId: { homeClub, tags, sales: [{ tx, rules }] } }
+// Returns are left out, and so are sales a return has since reversed
+function groupPosBuyers(clubNumber, transactions, rules) {
+  const buyers = {};
+  for (const tx of transactions) {
+    if (isReturn(tx) || !tx.memberId) continue;
+    const items = extractItems(tx);
+    const matchedRules = rules.filter(rule =>
+      matchPosRule(rule, clubNumber, items).length > 0 &&
+      !ledger.getPosTransaction(tx.transactionId, rule.name)?.reversedBy
+    );
+    if (matchedRules.length === 0) continue;
+
+    const memberId = tx.memberId.toString();
+    const buyer = buyers[memberId] = buyers[memberId] || { homeClub: tx.homeClub || clubNumber, tags: [], sales: [] };
+    buyer.sales.push({ tx, rules: matchedRules });
+    buyer.tags = [...new Set([...buyer.tags, ...matchedRules.flatMap(rule => rule.tags)])];
+  }
+  return buyers;
+}
+
+// Reconcile one club over a date range: prospects passing the filter and POS rule buyers
+// With heal, missing records are synced and untagged contacts tagged (counts are from before healing)
+// Returns { clubNumber, range, ok, error, heal, counts: { prospects, pos }, issues }
+async function reconcileClub(clubNumber, range, { heal = false } = {}) {
+  const club = getConfig().clubs[clubNumber];
+  const emptyCounts = () => Object.fromEntries(RECONCILE_CATEGORIES.map(category => [category, 0]));
+  const report = { clubNumber, range, ok: false, error: null, heal, counts: { prospects: emptyCounts(), pos: emptyCounts() }, issues: [] };
+
+  const add = (kind, memberId, check, healed) => {
+    report.counts[kind][check.category]++;
+    if (check.category === 'ok') return;
+    report.issues.push({ kind, memberId, ...check, healed });
+    reconcileLog.info('Record out of sync with GHL', {
+      club: clubNumber,
+      kind,
+      memberId,
+      outcome: check.category,
+      reason: check.reason,
+      missingTags: check.missingTags,
+      healed: healed || undefined
+    });
+  };
+
+  reconcileLog.info('Reconciling club', { club: clubNumber, range: toAbcRange(range), heal });
+
+  const prospects = await getAbcProspects(clubNumber, range);
+  if (!prospects) {
+    report.error = 'abc_fetch_failed';
+    return report;
+  }
+
+  for (const prospect of prospects) {
+    const { rule } = evaluateProspect(clubNumber, prospect);
+    if (!rule) continue;
+    const memberId = (prospect.memberId || prospect.id).toString();
+    const expectedTags = getExpectedProspectTags(memberId, getProspectCampaign(prospect), rule);
+    const check = await reconcileRecord(memberId, expectedTags, () => getContactFields(prospect), club);
+
+    // A converted member's contact needs more than a prospect sync - leave those to a person
+    const healed = heal
+      ? await healRecord(check, club, async () => ledger.getConversion(memberId) ? 'skipped_converted' : (await syncProspect(clubNumber, prospect)).outcome)
+      : null;
+    add('prospects', memberId, check, healed);
+  }
+
+  const rules = getRulesForClub(getConfig().posRules, clubNumber);
+  if (rules.length > 0) {
+    const transactions = await getPosTransactions(clubNumber, range);
+    if (!transactions) {
+      report.error = 'abc_fetch_failed';
+      return report;
     }
-    
-    // Check for duplicate by ABC ID
-    const existingByAbcId = await searchGhlContactByAbcId(
-      memberId, 
-      ghlLocationId, 
-      ghlToken
-    );
-    
-    if (existingByAbcId) {
-      console.log(`[SYNC] Skipping ${memberId} - ABC ID already exists in GHL`);
-      syncedMemberIds.add(memberId);
-      continue;
+
+    for (const [memberId, buyer] of Object.entries(groupPosBuyers(clubNumber, transactions, rules))) {
+      const getFields = async () => {
+        const member = await getAbcMember(buyer.homeClub, memberId);
+        return member ? getContactFields(member) : null;
+      };
+      const check = await reconcileRecord(memberId, buyer.tags, getFields, club);
+
+      const healed = heal
+        ? await healRecord(check, club, async () => {
+          const outcomes = [];
+          for (const { tx, rules: saleRules } of buyer.sales) {
+            outcomes.push(...Object.values(await syncPosTransaction(clubNumber, tx, saleRules)));
+          }
+          return outcomes.includes('failed') ? 'failed' : outcomes[0];
+        })
+        : null;
+      add('pos', memberId, check, healed);
     }
-    
-    // Create contact in GHL
-    const created = await createGhlContact(prospect, ghlLocationId, ghlToken, campaign);
-    
-    if (created) {
-      syncedMemberIds.add(memberId);
+  }
+
+  reconcileLog.info('Summary', { club: clubNumber, prospects: report.counts.prospects, pos: report.counts.pos });
+
+  report.ok = true;
+  if (!isDryRun()) {
+    lastReconciliations[clubNumber] = { ...report, completedAt: new Date().toISOString() };
+    for (const [kind, counts] of Object.entries(report.counts)) {
+      for (const [category, count] of Object.entries(counts)) {
+        reconciliationRecords.set({ club: clubNumber, kind, category }, count);
+      }
     }
-    
-    // Small delay to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 200));
   }
+  return report;
+}
+
+// Reconcile with heal, holding the club's sync jobs so they can't write the same contacts meanwhile
+// Returns the report, or { ok: false, busy: true, error } if one of the jobs is running; throws if
+// the reconciliation did
+async function reconcileAndHeal(clubNumber, range) {
+  const { ran, reason, result, error } = await scheduler.withLock(
+    [`prospects:${clubNumber}`, `pos:${clubNumber}`], 'reconciliation', () => reconcileClub(clubNumber, range, { heal: true })
+  );
+  if (!ran) return { clubNumber, range, ok: false, error: reason, busy: true };
+  if (error) throw new Error(error);
+  return result;
+}
+
+// Nightly job: reconcile yesterday (club time), healing if config reconciliation.heal is on
+function runNightlyReconciliation(clubNumber) {
+  const yesterday = addDays(getTodayDate(getClubTimezone(clubNumber)), -1);
+  const range = { start: yesterday, end: yesterday };
+  return getConfig().reconciliation.heal ? reconcileAndHeal(clubNumber, range) : reconcileClub(clubNumber, range);
 }
 
 // ═══════════════════════════════════════════
-// SWIM POS SYNC FUNCTIONS (Club 31600 only)
+// RETRY QUEUE (failed prospects and POS transactions, see lib/retryQueue.js)
 // ═══════════════════════════════════════════
 
-// ABC API: Get POS Transactions
-async function getPosTransactions(clubNumber) {
-  const today = getTodayDate();
+// Re-run one queued item from its stored ABC record
+// Returns { key, outcome } for prospects or { key, outcomes } (per rule) for POS transactions
+async function replayRetryItem(item) {
+  if (!getConfig().clubs[item.clubNumber]) {
+    return { key: item.key, error: `Unknown club ${item.clubNumber}` };
+  }
 
-  try {
-    const response = await axios.get(
-      `${ABC_API_BASE}/${clubNumber}/clubs/transactions/pos`,
-      {
-        headers: {
-          'accept': 'application/json',
-          'app_id': ABC_APP_ID,
-          'app_key': ABC_APP_KEY
-        },
-        params: {
-          transactionTimestampRange: today
-        }
-      }
-    );
+  // Prospects are checked against the rules again, as they may have changed since
+  if (item.kind === 'prospect') {
+    const { reason: filterReason } = evaluateProspect(item.clubNumber, item.payload);
+    if (filterReason) {
+      discardRetryItem(item.key);
+      return { key: item.key, error: `No prospect rule matches any more (${filterReason}) - discarded` };
+    }
+    const { outcome, reason } = await syncProspect(item.clubNumber, item.payload);
+    return { key: item.key, outcome, reason };
+  }
 
-    return response.data;
-  } catch (error) {
-    console.error(`[SWIM] Error fetching POS transactions for club ${clubNumber}:`, error.response?.data || error.message);
-    return {};
+  // Only rules that still exist for the club are replayed
+  const rules = getRulesForClub(getConfig().posRules, item.clubNumber)
+    .filter(rule => item.payload.rules.includes(rule.name));
+  if (rules.length === 0) {
+    discardRetryItem(item.key);
+    return { key: item.key, error: `Rules ${item.payload.rules.join(', ')} no longer apply to club ${item.clubNumber} - discarded` };
   }
+  return { key: item.key, outcomes: await syncPosTransaction(item.clubNumber, item.payload.tx, rules) };
 }
 
-// Extract transactions from ABC POS response (nested under clubs[0].transactions)
-function extractTransactions(data) {
-  try {
-    const clubs = data.clubs || [];
-    if (clubs.length === 0) return [];
-    const transactions = clubs[0].transactions || [];
-    return Array.isArray(transactions) ? transactions : [];
-  } catch (e) {
-    console.error('[SWIM] Error extracting transactions:', e.message);
-    return [];
+// Retry every pending item whose backoff has elapsed
+async function processRetryQueue() {
+  const due = retryQueue.getDueItems();
+  if (due.length === 0) return [];
+
+  retryLog.info('Retrying failed items', { count: due.length });
+  const results = [];
+  for (const item of due) {
+    results.push(await replayRetryItem(item));
   }
+  return results;
 }
 
-// Extract items from a transaction (nested under items.item)
-function extractItems(transaction) {
-  const itemsWrapper = transaction.items || {};
-  const items = itemsWrapper.item || [];
-  return Array.isArray(items) ? items : [items];
+// Remove an item from the queue and mark its ledger entries discarded so scans don't pick it up again
+function discardRetryItem(key) {
+  const item = retryQueue.getItem(key);
+  if (!item) return false;
+
+  if (item.kind === 'prospect') {
+    ledger.updateProspect(item.id, { discarded: true });
+  } else {
+    for (const ruleName of item.payload?.rules || []) {
+      ledger.updatePosTransaction(item.id, ruleName, { discarded: true });
+    }
+  }
+  retryQueue.discard(key);
+  retryLog.info('Discarded', { key, club: item.clubNumber, attempts: item.attempts, reason: item.reason, outcome: 'discarded' });
+  return true;
 }
 
-// ABC API: Get member by ID
-async function getAbcMember(clubNumber, memberId) {
-  try {
-    const response = await axios.get(
-      `${ABC_API_BASE}/${clubNumber}/members/${memberId}`,
-      {
-        headers: {
-          'accept': 'application/json',
-          'app_id': ABC_APP_ID,
-          'app_key': ABC_APP_KEY
-        }
-      }
-    );
+// ═══════════════════════════════════════════
+// METRICS (Prometheus, served at /metrics - see lib/metrics.js)
+// ═══════════════════════════════════════════
 
-    const members = response.data.members || [];
-    return members[0] || null;
-  } catch (error) {
-    console.error(`[SWIM] Error fetching member ${memberId}:`, error.response?.data || error.message);
-    return null;
+const jobRuns = metrics.counter('job_runs_total', 'Sync job runs by job (prospects / pos / conversions / checkins), club and outcome', ['job', 'club', 'outcome']);
+const jobDuration = metrics.histogram('job_duration_seconds', 'Sync job duration', ['job', 'club']);
+const jobLastSuccess = metrics.gauge('last_success_timestamp_seconds', 'Unix time of the last successful sync job per club', ['job', 'club']);
+const pollCycles = metrics.counter('poll_cycles_total', 'Poll cycles by outcome (ok, or partial if any job failed)', ['outcome']);
+const pollDuration = metrics.histogram('poll_cycle_duration_seconds', 'Full poll cycle duration');
+const prospectsFetched = metrics.counter('prospects_fetched_total', 'Prospects fetched from ABC', ['club']);
+const prospectsMatched = metrics.counter('prospects_matched_total', 'Prospects passing one of the prospect rules', ['club']);
+const prospectResults = metrics.counter('prospects_total', 'Prospect sync results (created, updated, failed, or skipped_<reason>)', ['club', 'result']);
+const posFetched = metrics.counter('pos_transactions_fetched_total', 'POS transactions fetched from ABC', ['club']);
+const posResults = metrics.counter('pos_rule_results_total', 'POS rule results (matched, created, tagged, alreadyTagged, reversed, ...)', ['club', 'rule', 'result']);
+const conversionResults = metrics.counter('conversions_total', 'Synced prospects converted to members (converted, failed)', ['club', 'result']);
+const checkinsFetched = metrics.counter('checkins_fetched_total', 'Check-ins fetched from ABC', ['club']);
+const checkinResults = metrics.counter('checkin_members_total', 'Members whose new check-ins were synced, by result (updated, tagged, unchanged, noContact, ambiguous, failed)', ['club', 'result']);
+const reconciliationRecords = metrics.gauge('reconciliation_records', 'Records in the latest reconciliation by club, kind (prospects / pos) and category', ['club', 'kind', 'category']);
+// A club's source changes when it switches between static token and OAuth - its old series goes
+metrics.gauge('ghl_authorized', 'Whether GHL accepts the token each club uses (0 = revoked or rejected)', ['club', 'source'], gauge => {
+  gauge.reset();
+  for (const [clubNumber, status] of Object.entries(getGhlAuthStatus())) {
+    gauge.set({ club: clubNumber, source: status.source }, status.authorized ? 1 : 0);
   }
-}
+});
+metrics.gauge('retry_queue_items', 'Items in the retry queue by status (pending / dead)', ['status'], gauge => {
+  gauge.set({ status: 'pending' }, retryQueue.listQueue('pending').length);
+  gauge.set({ status: 'dead' }, retryQueue.listQueue('dead').length);
+});
 
-// GHL API: Add tag to existing contact
-async function addTagToGhlContact(contactId, tag, token) {
-  try {
-    const response = await axios.put(
-      `https://services.leadconnectorhq.com/contacts/${contactId}`,
-      {
-        tags: [tag]
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Version': '2021-07-28',
-          'Content-Type': 'application/json'
-        }
+// Record a sync job's counts from its summary
+function recordJobMetrics(job, summary) {
+  const club = summary.clubNumber;
+  if (job === 'prospects') {
+    prospectsFetched.inc({ club }, summary.fetched);
+    prospectsMatched.inc({ club }, summary.matched);
+    prospectResults.inc({ club, result: 'created' }, summary.created);
+    prospectResults.inc({ club, result: 'updated' }, summary.updated);
+    prospectResults.inc({ club, result: 'failed' }, summary.failed);
+    prospectResults.inc({ club, result: 'skipped_filtered_out' }, summary.fetched - summary.matched);
+    prospectResults.inc({ club, result: 'skipped_already_synced' }, summary.skipped);
+    prospectResults.inc({ club, result: 'skipped_ambiguous' }, summary.ambiguous);
+    prospectResults.inc({ club, result: 'skipped_awaiting_retry' }, summary.queued);
+  } else if (job === 'pos') {
+    posFetched.inc({ club }, summary.transactions);
+    for (const [rule, counts] of Object.entries(summary.rules)) {
+      for (const [result, count] of Object.entries(counts)) {
+        posResults.inc({ club, rule, result }, count);
       }
-    );
+    }
+  } else if (job === 'conversions') {
+    conversionResults.inc({ club, result: 'converted' }, summary.converted);
+    conversionResults.inc({ club, result: 'failed' }, summary.failed);
+  } else if (job === 'checkins') {
+    checkinsFetched.inc({ club }, summary.fetched);
+    for (const result of ['updated', 'tagged', 'unchanged', 'noContact', 'ambiguous', 'failed']) {
+      checkinResults.inc({ club, result }, summary[result]);
+    }
+  }
+}
 
-    console.log(`[SWIM] Added tag "${tag}" to existing contact ${contactId}`);
-    return response.data;
-  } catch (error) {
-    console.error(`[SWIM] Error adding tag to contact ${contactId}:`, error.response?.data || error.message);
-    return null;
+// Run one sync job (syncClub / syncPosSales / syncConversions / syncCheckins) with timing and outcome metrics
+// Dry runs aren't counted
+async function runJob(job, clubNumber, run) {
+  const elapsed = metrics.startTimer();
+  const summary = await run();
+  if (isDryRun()) return summary;
+
+  jobDuration.observe({ job, club: clubNumber }, elapsed());
+  jobRuns.inc({ job, club: clubNumber, outcome: summary.ok ? 'ok' : 'failed' });
+  if (summary.ok) {
+    jobLastSuccess.set({ job, club: clubNumber }, Math.floor(Date.now() / 1000));
+    recordJobMetrics(job, summary);
   }
+  return summary;
 }
 
-// GHL API: Create contact for swim sale
-async function createGhlSwimContact(member, locationId, token) {
-  const personal = member.personal || {};
-  const firstName = personal.firstName || '';
-  const lastName = personal.lastName || '';
-  const email = personal.email || '';
-  const phone = personal.primaryPhone || personal.mobilePhone || '';
-  const memberId = member.memberId || '';
+// ═══════════════════════════════════════════
+// SCHEDULED JOBS (see lib/scheduler.js)
+// ═══════════════════════════════════════════
 
-  if (!email && !phone) {
-    console.log(`[SWIM] Skipping contact creation - no email or phone for ${firstName} ${lastName} (${memberId})`);
-    return null;
+// Range for a scheduled run: today, reaching back to the job's cursor when the last successful run
+// was on an earlier day, so records between that run and midnight aren't missed
+function scheduledRange(kind, clubNumber) {
+  const range = todayRange(clubNumber);
+  const cursor = ledger.getCursor(`${kind}:${clubNumber}`);
+  if (cursor && cursor.date < range.start) {
+    const earliest = addDays(range.start, -MAX_CATCHUP_DAYS);
+    range.start = cursor.date < earliest ? earliest : cursor.date;
   }
+  return range;
+}
 
-  const contactData = {
-    locationId: locationId,
-    firstName: firstName,
-    lastName: lastName,
-    phone: phone,
-    tags: [SWIM_TAG],
-    customFields: [
-      {
-        key: ABC_ID_FIELD_KEY,
-        value: memberId.toString()
-      }
-    ]
-  };
+// Run one club's sync job and advance its cursor (where catch-up resumes after downtime) on success
+// The cursor has the same name as the job: prospects:<club>, pos:<club>, conversions:<club>, checkins:<club>
+async function runClubJob(kind, clubNumber, sync) {
+  const result = await runJob(kind, clubNumber, () => sync(scheduledRange(kind, clubNumber)));
+  if (result.ok) ledger.setCursor(`${kind}:${clubNumber}`, result.range.end);
+  return result;
+}
 
-  if (email && email.includes('@')) {
-    contactData.email = email;
-  }
+// Nightly: drop ledger entries past the retention window
+function pruneLedger() {
+  return { ok: true, removed: ledger.prune() };
+}
 
-  try {
-    const response = await axios.post(
-      'https://services.leadconnectorhq.com/contacts/',
-      contactData,
-      {
-        headers: {
-          'Authorization': `Bearer ${token}`,
-          'Version': '2021-07-28',
-          'Content-Type': 'application/json'
-        }
-      }
-    );
+// A job's schedule from config - its own entry, else its kind's; cron runs in the club's timezone
+function getJobSchedule(name, clubNumber) {
+  const { schedules } = getConfig();
+  const schedule = schedules[name] || schedules[name.split(':')[0]];
+  return schedule.cron ? { timezone: getClubTimezone(clubNumber), ...schedule } : schedule;
+}
 
-    console.log(`[SWIM] Created contact: ${firstName} ${lastName} (${email || 'no email'}) with tag: ${SWIM_TAG}`);
-    return response.data;
-  } catch (error) {
-    console.error(`[SWIM] Error creating swim contact:`, error.response?.data || error.message);
-    return null;
+// The sync jobs for the current config, in the order a full poll cycle runs them
+function getSyncJobs() {
+  const clubNumbers = Object.keys(getConfig().clubs);
+  return [
+    { name: 'retry-queue', run: processRetryQueue },
+    ...clubNumbers.map(clubNumber => ({
+      name: `prospects:${clubNumber}`,
+      clubNumber,
+      run: () => runClubJob('prospects', clubNumber, range => syncClub(clubNumber, range))
+    })),
+    ...getPosClubs().map(clubNumber => ({
+      name: `pos:${clubNumber}`,
+      clubNumber,
+      run: () => runClubJob('pos', clubNumber, range => syncPosSales(clubNumber, range))
+    })),
+    ...clubNumbers.map(clubNumber => ({
+      name: `conversions:${clubNumber}`,
+      clubNumber,
+      run: () => runClubJob('conversions', clubNumber, range => syncConversions(clubNumber, range))
+    })),
+    ...getCheckinClubs().map(clubNumber => ({
+      name: `checkins:${clubNumber}`,
+      clubNumber,
+      run: () => runClubJob('checkins', clubNumber, range => syncCheckins(clubNumber, range))
+    }))
+  ];
+}
+
+// Register every job for the current config, dropping jobs for clubs / POS rules that are gone
+// Runs at startup and after each config reload
+function registerJobs() {
+  const jobs = [
+    ...getSyncJobs(),
+    ...Object.keys(getConfig().clubs).map(clubNumber => ({
+      name: `reconciliation:${clubNumber}`,
+      clubNumber,
+      run: () => runNightlyReconciliation(clubNumber)
+    })),
+    { name: 'ledger-prune', run: pruneLedger }
+  ];
+  const names = jobs.map(job => job.name);
+  scheduler.getJobNames()
+    .filter(name => !names.includes(name))
+    .forEach(name => scheduler.unregisterJob(name));
+
+  for (const { name, clubNumber, run } of jobs) {
+    scheduler.registerJob(name, { getSchedule: () => getJobSchedule(name, clubNumber), run });
   }
 }
 
-// Main swim sync function
-async function syncSwimSales() {
-  const locationConfig = LOCATIONS[SWIM_CLUB];
-  if (!locationConfig) {
-    console.error(`[SWIM] No configuration found for club ${SWIM_CLUB}`);
-    return;
+// Run every sync job once, in order (at startup and for /trigger)
+// Jobs that are already running or paused are skipped rather than run twice
+// The jobs log under one cycleId
+function pollAllClubs() {
+  return withCycle('poll', pollCycle);
+}
+
+async function pollCycle() {
+  const startedAt = Date.now();
+  const elapsed = metrics.startTimer();
+  pollLog.info('Starting poll cycle');
+  
+  const failures = [];
+  const skipped = [];
+  
+  for (const { name } of getSyncJobs()) {
+    const { ran, reason, error } = await scheduler.runNow(name);
+    if (!ran) {
+      skipped.push(reason);
+    } else if (error) {
+      failures.push(`${name} (${error})`);
+    }
+  }
+  
+  const ledgerCounts = ledger.counts();
+  const summary = {
+    outcome: failures.length === 0 ? 'ok' : 'partial',
+    durationMs: Date.now() - startedAt,
+    ledgerProspects: ledgerCounts.prospects,
+    ledgerPosTransactions: ledgerCounts.posTransactions,
+    skipped: skipped.length > 0 ? skipped : undefined,
+    failures: failures.length > 0 ? failures : undefined
+  };
+  if (failures.length > 0) {
+    pollLog.error('Poll cycle complete', summary);
+  } else {
+    pollLog.info('Poll cycle complete', summary);
   }
 
-  const { ghlLocationId, ghlToken } = locationConfig;
+  if (!isDryRun()) {
+    pollDuration.observe({}, elapsed());
+    pollCycles.inc({ outcome: failures.length === 0 ? 'ok' : 'partial' });
+  }
+  return { failures, skipped };
+}
 
-  console.log(`[SWIM] Polling POS transactions for club ${SWIM_CLUB}...`);
+// ═══════════════════════════════════════════
+// BACKFILL / CATCH-UP
+// ═══════════════════════════════════════════
 
-  // Get today's POS transactions
-  const data = await getPosTransactions(SWIM_CLUB);
-  const transactions = extractTransactions(data);
-  console.log(`[SWIM] Found ${transactions.length} total POS transactions for today`);
+// Validate a backfill request, returning an error message or null
+function validateBackfillRange(clubNumber, start, end) {
+  if (!getConfig().clubs[clubNumber]) return `Unknown club ${clubNumber}`;
+  if (!isValidDate(start)) return `Invalid start date "${start}" (expected YYYY-MM-DD)`;
+  if (!isValidDate(end)) return `Invalid end date "${end}" (expected YYYY-MM-DD)`;
+  if (start > end) return 'Start date must be on or before end date';
+  if (getDatesInRange(start, end).length > MAX_BACKFILL_DAYS) {
+    return `Range too large - at most ${MAX_BACKFILL_DAYS} days per run`;
+  }
+  return null;
+}
 
-  let swimCount = 0;
-  let skippedReturns = 0;
-  let skippedAlreadySynced = 0;
-  let created = 0;
-  let tagged = 0;
+// Run prospect sync (and POS rules, if the club has any) over a date range, one day at a time
+async function backfill(clubNumber, start, end = start) {
+  backfillLog.info('Backfilling club', { club: clubNumber, start, end });
 
-  for (const tx of transactions) {
-    // Skip returns
-    if (tx.return === 'true' || tx.return === true) {
-      const items = extractItems(tx);
-      const hasSwim = items.some(item => SWIM_PROFIT_CENTERS.includes(item.profitCenter));
-      if (hasSwim) skippedReturns++;
-      continue;
+  const days = [];
+  for (const date of getDatesInRange(start, end)) {
+    const range = { start: date, end: date };
+    const day = { date, prospects: await runJob('prospects', clubNumber, () => syncClub(clubNumber, range)) };
+
+    if (getPosClubs().includes(clubNumber)) {
+      day.pos = await runJob('pos', clubNumber, () => syncPosSales(clubNumber, range));
     }
 
-    // Check for swim items
-    const items = extractItems(tx);
-    const swimItems = items.filter(item =>
-      SWIM_PROFIT_CENTERS.includes(item.profitCenter)
-    );
+    days.push(day);
+  }
 
-    if (swimItems.length === 0) continue;
+  const failedDays = days
+    .filter(d => !d.prospects.ok || (d.pos && !d.pos.ok))
+    .map(d => d.date);
+  backfillLog.info('Backfill done', { club: clubNumber, days: days.length, failedDays, outcome: failedDays.length === 0 ? 'ok' : 'partial' });
 
-    swimCount++;
-    const txId = tx.transactionId;
+  return { clubNumber, start, end, ok: failedDays.length === 0, failedDays, days };
+}
 
-    // Skip if already synced this session
-    if (syncedSwimTransactionIds.has(txId)) {
-      skippedAlreadySynced++;
-      continue;
-    }
+// On startup, re-sync every day since the last successful poll (up to MAX_CATCHUP_DAYS)
+async function catchUp() {
+  const jobs = Object.keys(getConfig().clubs).map(clubNumber => ({
+    clubNumber,
+    cursor: `prospects:${clubNumber}`,
+    run: range => runJob('prospects', clubNumber, () => syncClub(clubNumber, range))
+  }));
+  for (const clubNumber of getPosClubs()) {
+    jobs.push({ clubNumber, cursor: `pos:${clubNumber}`, run: range => runJob('pos', clubNumber, () => syncPosSales(clubNumber, range)) });
+  }
+  for (const clubNumber of Object.keys(getConfig().clubs)) {
+    jobs.push({ clubNumber, cursor: `conversions:${clubNumber}`, run: range => runJob('conversions', clubNumber, () => syncConversions(clubNumber, range)) });
+  }
+  for (const clubNumber of getCheckinClubs()) {
+    jobs.push({ clubNumber, cursor: `checkins:${clubNumber}`, run: range => runJob('checkins', clubNumber, () => syncCheckins(clubNumber, range)) });
+  }
 
-    // Look up member details from ABC (use member's homeClub, not the POS club)
-    const memberHomeClub = tx.homeClub || SWIM_CLUB;
-    const member = await getAbcMember(memberHomeClub, tx.memberId);
-    if (!member) {
-      console.error(`[SWIM] Could not fetch member ${tx.memberId} from club ${memberHomeClub} - skipping`);
-      syncedSwimTransactionIds.add(txId);
+  for (const job of jobs) {
+    const today = getTodayDate(getClubTimezone(job.clubNumber));
+    const earliest = addDays(today, -MAX_CATCHUP_DAYS);
+    const cursor = ledger.getCursor(job.cursor);
+    if (!cursor) {
+      catchupLog.info('No previous poll recorded - starting from today', { cursor: job.cursor, club: job.clubNumber });
       continue;
     }
+    if (cursor.date >= today) continue;
 
-    const personal = member.personal || {};
-    const email = personal.email || '';
-    const memberId = member.memberId || '';
-
-    // Check for existing contact by email
-    let existingContact = null;
-    if (email) {
-      existingContact = await searchGhlContactByEmail(email, ghlLocationId, ghlToken);
+    // Re-run the last polled day too, since it may have been cut off mid-day
+    let start = cursor.date;
+    if (start < earliest) {
+      catchupLog.info('Last poll too long ago - limiting catch-up', { cursor: job.cursor, club: job.clubNumber, lastPolled: cursor.date, maxDays: MAX_CATCHUP_DAYS });
+      start = earliest;
     }
 
-    // If not found by email, check by ABC ID
-    if (!existingContact) {
-      existingContact = await searchGhlContactByAbcId(memberId, ghlLocationId, ghlToken);
-    }
+    const end = addDays(today, -1);
+    catchupLog.info('Catching up', { cursor: job.cursor, club: job.clubNumber, lastPolled: cursor.timestamp, start, end });
 
-    if (existingContact) {
-      // Contact exists - just add the swim tag
-      await addTagToGhlContact(existingContact.id, SWIM_TAG, ghlToken);
-      tagged++;
+    const { ran, reason, result, error } = await scheduler.withLock([job.cursor], 'catch-up', () => job.run({ start, end }));
+    if (!ran) {
+      catchupLog.error('Catch-up skipped - will retry on next startup', { cursor: job.cursor, club: job.clubNumber, outcome: 'skipped', reason });
+    } else if (result?.ok) {
+      ledger.setCursor(job.cursor, end);
     } else {
-      // Contact doesn't exist - create with swim tag
-      await createGhlSwimContact(member, ghlLocationId, ghlToken);
-      created++;
+      catchupLog.error('Catch-up failed - will retry on next startup', { cursor: job.cursor, club: job.clubNumber, outcome: 'failed', error: error || undefined });
     }
-
-    syncedSwimTransactionIds.add(txId);
-
-    // Small delay to avoid rate limiting
-    await new Promise(resolve => setTimeout(resolve, 300));
   }
-
-  console.log(`[SWIM] Summary: ${swimCount} swim transactions found, ${created} contacts created, ${tagged} contacts tagged, ${skippedReturns} returns skipped, ${skippedAlreadySynced} already synced`);
 }
 
 // ═══════════════════════════════════════════
-// MAIN POLLING FUNCTION
+// ADMIN DASHBOARD (HTML at /admin, see lib/dashboard.js)
 // ═══════════════════════════════════════════
 
-// Main polling function
-async function pollAllClubs() {
-  console.log(`\n[POLL] Starting poll cycle at ${new Date().toISOString()}`);
-  
-  // Existing prospect sync for all clubs
-  for (const clubNumber of Object.keys(LOCATIONS)) {
-    await syncClub(clubNumber);
-    // Add delay between clubs to avoid rate limits
-    await new Promise(resolve => setTimeout(resolve, 2000));
-  }
+function ghlContactUrl(locationId, contactId) {
+  return `${GHL_APP_URL}/v2/location/${encodeURIComponent(locationId)}/contacts/detail/${encodeURIComponent(contactId)}`;
+}
 
-  // Swim POS sync for club 31600
-  await syncSwimSales();
-  
-  console.log(`[POLL] Poll cycle complete. Synced prospects: ${syncedMemberIds.size} | Synced swim txns: ${syncedSwimTransactionIds.size}`);
+// unauthorized if GHL rejects the club's token, failing if any sync job's last run failed,
+// paused if any is paused, never if none has succeeded yet
+function getClubHealth(jobs, auth) {
+  if (!auth.authorized) return 'unauthorized';
+  if (jobs.some(job => job.lastOutcome === 'failed')) return 'failing';
+  if (jobs.some(job => job.paused)) return 'paused';
+  if (jobs.every(job => !job.lastSyncAt)) return 'never';
+  return 'ok';
 }
 
-// Clear synced IDs at midnight (new day = new prospects/transactions)
-function scheduleMidnightReset() {
-  const now = new Date();
-  const midnight = new Date(now);
-  midnight.setHours(24, 0, 0, 0);
-  
-  const msUntilMidnight = midnight - now;
-  
-  setTimeout(() => {
-    console.log('[RESET] Midnight - clearing synced IDs');
-    syncedMemberIds.clear();
-    syncedSwimTransactionIds.clear();
-    scheduleMidnightReset(); // Schedule next reset
-  }, msUntilMidnight);
-  
-  console.log(`[RESET] Scheduled midnight reset in ${Math.round(msUntilMidnight / 1000 / 60)} minutes`);
+// One club's part of the dashboard: its sync jobs, and the ledger entries / scan results from today
+// (club time). Failures are whatever is still on the retry queue, whichever day it failed
+function getClubDashboard(clubNumber) {
+  const club = getConfig().clubs[clubNumber];
+  const timezone = getClubTimezone(clubNumber);
+  const today = getTodayDate(timezone);
+  const since = getStartOfDay(today, timezone).toISOString();
+  const isToday = entry => entry.clubNumber === clubNumber && entry.updatedAt >= since;
+  const contact = entry => ({
+    contactId: entry.ghlContactId,
+    contactUrl: entry.ghlContactId ? ghlContactUrl(club.ghlLocationId, entry.ghlContactId) : null
+  });
+  const newestFirst = (a, b) => b.at.localeCompare(a.at);
+
+  const jobs = getSyncJobs()
+    .filter(job => job.clubNumber === clubNumber)
+    .map(({ name }) => ({ name, ...scheduler.getJobStatus(name), lastSyncAt: ledger.getCursor(name)?.timestamp || null }));
+
+  const prospects = ledger.listProspects(isToday);
+  const posTransactions = ledger.listPosTransactions(isToday);
+  const checkins = ledger.listCheckins(isToday);
+
+  const skipped = [
+    ...(lastScans[clubNumber]?.filteredOut || []).map(entry => ({
+      at: lastScans[clubNumber].scannedAt, kind: 'prospect', memberId: entry.memberId, detail: entry.campaign || 'no campaign', reason: entry.reason
+    })),
+    ...prospects
+      .filter(entry => entry.outcome === 'ambiguous' || entry.outcome === 'skipped')
+      .map(entry => ({ at: entry.updatedAt, kind: 'prospect', memberId: entry.id, detail: entry.campaign, reason: entry.reason })),
+    ...posTransactions
+      .filter(entry => entry.outcome === 'ambiguous' || entry.outcome === 'skipped')
+      .map(entry => ({ at: entry.updatedAt, kind: `POS ${entry.rule}`, memberId: entry.memberId, detail: entry.txId, reason: entry.reason })),
+    ...checkins
+      .filter(entry => ['ambiguous', 'no-contact', 'failed'].includes(entry.outcome))
+      .map(entry => ({ at: entry.updatedAt, kind: 'check-in', memberId: entry.id, detail: `last visit ${entry.lastCheckIn || '-'}`, reason: entry.reason }))
+  ];
+
+  const failures = retryQueue.listQueue()
+    .filter(item => item.clubNumber === clubNumber)
+    .map(item => ({
+      at: item.lastFailedAt,
+      kind: item.kind,
+      id: item.id,
+      reason: item.reason,
+      status: item.status,
+      attempts: item.attempts,
+      nextAttemptAt: item.nextAttemptAt
+    }));
+
+  return {
+    clubNumber,
+    name: club.name || clubNumber,
+    timezone,
+    today,
+    health: getClubHealth(jobs, getGhlAuthStatus()[clubNumber]),
+    jobs,
+    prospects: prospects
+      .filter(entry => SYNCED_OUTCOMES.includes(entry.outcome))
+      .map(entry => ({ at: entry.updatedAt, memberId: entry.id, campaign: entry.campaign, rule: entry.rule, outcome: entry.outcome, ...contact(entry) }))
+      .sort(newestFirst),
+    posBuyers: posTransactions
+      .filter(entry => [...SYNCED_OUTCOMES, 'reversed'].includes(entry.outcome))
+      .map(entry => ({ at: entry.updatedAt, memberId: entry.memberId, rule: entry.rule, txId: entry.txId, outcome: entry.outcome, ...contact(entry) }))
+      .sort(newestFirst),
+    skipped: skipped.sort(newestFirst),
+    failures: failures.sort(newestFirst)
+  };
+}
+
+function getDashboardData() {
+  return {
+    generatedAt: new Date().toISOString(),
+    dryRun: DRY_RUN,
+    clubs: Object.keys(getConfig().clubs).map(getClubDashboard)
+  };
+}
+
+// Run one club's sync jobs now, in poll order (the dashboard's sync / dry-run buttons)
+// Returns [{ name, ran, reason, result, error }]; jobs already running or paused are skipped
+function syncClubNow(clubNumber) {
+  return withCycle(`sync:${clubNumber}`, async () => {
+    const results = [];
+    for (const { name } of getSyncJobs().filter(job => job.clubNumber === clubNumber)) {
+      results.push({ name, ...(await scheduler.runNow(name)) });
+    }
+    return results;
+  });
 }
 
 // ═══════════════════════════════════════════
 // ENDPOINTS
 // ═══════════════════════════════════════════
 
+// Access control (lib/auth.js): "/" and /metrics are open; syncing and the retry queue need the
+// operator role; the read-only views (the /admin dashboard included) take either role, with
+// personal data masked unless a debug-role caller adds ?pii=true
+const operatorAccess = [requireRole('operator'), piiAccess];
+const viewAccess = [requireRole('operator', 'debug'), piiAccess];
+
+// Express 4 doesn't catch a rejected promise from an async handler (on Node 20 it would end the
+// process) - hand it to the error handler at the end of the routes instead
+function asyncRoute(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// Response body with PII masked, unless the caller may see it and asked to
+function maskUnlessAllowed(req, body) {
+  return req.showPii ? body : redact(body);
+}
+
 // Health check endpoint
 app.get('/', (req, res) => {
+  const config = getConfig();
+  const ledgerCounts = ledger.counts();
   res.json({
     status: 'running',
-    syncedProspectCount: syncedMemberIds.size,
-    syncedSwimTxCount: syncedSwimTransactionIds.size,
-    pollInterval: `${POLL_INTERVAL / 1000} seconds`,
-    lastPoll: new Date().toISOString(),
-    locations: Object.keys(LOCATIONS),
-    swimClub: SWIM_CLUB,
-    swimProfitCenters: SWIM_PROFIT_CENTERS
+    dryRun: DRY_RUN,
+    syncedProspectCount: ledgerCounts.prospects,
+    syncedPosTxCount: ledgerCounts.posTransactions,
+    conversionCount: ledgerCounts.conversions,
+    retryQueue: {
+      pending: retryQueue.listQueue('pending').length,
+      dead: retryQueue.listQueue('dead').length
+    },
+    jobs: scheduler.listJobs().map(job => ({
+      name: job.name,
+      schedule: job.schedule,
+      paused: job.paused,
+      running: job.running,
+      lastOutcome: job.lastOutcome,
+      lastFinishedAt: job.lastFinishedAt,
+      nextRunAt: job.nextRunAt
+    })),
+    locations: Object.keys(config.clubs),
+    ghlUnauthorized: Object.entries(getGhlAuthStatus()).filter(([, auth]) => !auth.authorized).map(([clubNumber]) => clubNumber),
+    ghlBudget: getBudgets(),
+    posRules: config.posRules.map(rule => ({
+      name: rule.name,
+      clubs: rule.clubs,
+      profitCenters: rule.profitCenters,
+      itemNames: rule.itemNames,
+      minAmount: rule.minAmount,
+      tags: rule.tags
+    })),
+    configLoadedAt: config.loadedAt
   });
 });
 
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4');
+  res.send(metrics.render());
+});
+
+// State-changing routes are POST only - tell old GET bookmarks which method to use
+app.get(['/trigger', '/trigger-pos', '/trigger-swim', '/backfill/:clubNumber', '/admin/clubs/:clubNumber/sync'], (req, res) => {
+  res.status(405).set('Allow', 'POST').json({ error: `Use POST ${req.path}` });
+});
+
 // Manual trigger endpoint
-app.get('/trigger', async (req, res) => {
-  await pollAllClubs();
+// ?dryRun=true runs the full cycle without GHL writes and returns the planned actions per record
+app.post('/trigger', operatorAccess, asyncRoute(async (req, res) => {
+  if (DRY_RUN || req.query.dryRun === 'true') {
+    const { plan, unattributedWrites } = await withDryRun(() => pollAllClubs());
+    return res.json(maskUnlessAllowed(req, { status: 'Dry run - nothing was written', plan, unattributedWrites }));
+  }
+
+  const { failures, skipped } = await pollAllClubs();
+  const ledgerCounts = ledger.counts();
   res.json({ 
     status: 'Poll triggered',
-    syncedProspectCount: syncedMemberIds.size,
-    syncedSwimTxCount: syncedSwimTransactionIds.size
+    failures: failures,
+    skipped: skipped,
+    syncedProspectCount: ledgerCounts.prospects,
+    syncedPosTxCount: ledgerCounts.posTransactions
+  });
+}));
+
+// Manual trigger for POS rules only (/trigger-swim kept for existing bookmarks)
+// ?dryRun=true as for /trigger
+app.post(['/trigger-pos', '/trigger-swim'], operatorAccess, asyncRoute(async (req, res) => {
+  if (DRY_RUN || req.query.dryRun === 'true') {
+    const { result, plan, unattributedWrites } = await withDryRun(() => syncAllPosSales());
+    return res.json(maskUnlessAllowed(req, { status: 'Dry run - nothing was written', results: result, plan, unattributedWrites }));
+  }
+
+  const results = await syncAllPosSales();
+  res.json({
+    status: 'POS sync triggered',
+    results: results,
+    syncedPosTxCount: ledger.counts().posTransactions
   });
+}));
+
+// Backfill a club over a date range: POST /backfill/31601?start=2024-01-01&end=2024-01-03
+app.post('/backfill/:clubNumber', operatorAccess, asyncRoute(async (req, res) => {
+  const clubNumber = req.params.clubNumber;
+  const start = req.query.start;
+  const end = req.query.end || start;
+
+  const error = validateBackfillRange(clubNumber, start, end);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  // Hold the club's sync jobs so a scheduled run can't process the same records in parallel
+  const { ran, reason, result, error: thrown } = await scheduler.withLock(
+    [`prospects:${clubNumber}`, `pos:${clubNumber}`], 'backfill', () => backfill(clubNumber, start, end)
+  );
+  if (!ran) {
+    return res.status(409).json({ error: `${reason} - try again once it finishes` });
+  }
+  if (thrown) {
+    return res.status(500).json({ error: thrown });
+  }
+  res.status(result.ok ? 200 : 502).json(result);
+}));
+
+// Failed items awaiting retry (?status=pending or ?status=dead for the dead-letter list)
+app.get('/retry-queue', operatorAccess, (req, res) => {
+  const { status } = req.query;
+  if (status && !['pending', 'dead'].includes(status)) {
+    return res.status(400).json({ error: 'status must be pending or dead' });
+  }
+  const items = retryQueue.listQueue(status);
+  res.json(maskUnlessAllowed(req, { maxAttempts: retryQueue.RETRY_MAX_ATTEMPTS, count: items.length, items }));
+});
+
+// Retry one item now (works for dead-lettered items too)
+app.post('/retry-queue/:key/replay', operatorAccess, asyncRoute(async (req, res) => {
+  const item = retryQueue.getItem(req.params.key);
+  if (!item) {
+    return res.status(404).json({ error: `No queued item ${req.params.key}` });
+  }
+  const { ran, reason, result, error } = await scheduler.withLock(['retry-queue'], 'replay', () => replayRetryItem(item));
+  if (!ran) {
+    return res.status(409).json({ error: `${reason} - try again once it finishes` });
+  }
+  if (error) {
+    return res.status(500).json({ error });
+  }
+  res.json(maskUnlessAllowed(req, { ...result, item: retryQueue.getItem(req.params.key) }));
+}));
+
+// Give up on one item
+app.delete('/retry-queue/:key', operatorAccess, (req, res) => {
+  if (!discardRetryItem(req.params.key)) {
+    return res.status(404).json({ error: `No queued item ${req.params.key}` });
+  }
+  res.json({ discarded: req.params.key });
+});
+
+// Scheduled jobs: schedule, paused / running, last start / end, last error
+app.get('/jobs', viewAccess, (req, res) => {
+  res.json({ jobs: scheduler.listJobs() });
+});
+
+// Pause / resume a job's scheduled runs: POST /jobs/prospects:31600/pause
+app.post('/jobs/:name/pause', operatorAccess, (req, res) => {
+  const status = scheduler.pauseJob(req.params.name);
+  if (!status) {
+    return res.status(404).json({ error: `Unknown job ${req.params.name}` });
+  }
+  res.json(status);
+});
+
+app.post('/jobs/:name/resume', operatorAccess, (req, res) => {
+  const status = scheduler.resumeJob(req.params.name);
+  if (!status) {
+    return res.status(404).json({ error: `Unknown job ${req.params.name}` });
+  }
+  res.json(status);
+});
+
+// Run one job now (409 if it is running or paused)
+app.post('/jobs/:name/run', operatorAccess, asyncRoute(async (req, res) => {
+  if (!scheduler.getJobStatus(req.params.name)) {
+    return res.status(404).json({ error: `Unknown job ${req.params.name}` });
+  }
+  const { ran, reason, result, error } = await scheduler.runNow(req.params.name);
+  if (!ran) {
+    return res.status(409).json({ error: reason });
+  }
+  res.json({ error, result, job: scheduler.getJobStatus(req.params.name) });
+}));
+
+// Prospect -> member conversion report, per club and campaign
+// /conversions?since=2025-01-01 to only count prospects synced since a date
+app.get('/conversions', viewAccess, (req, res) => {
+  const { since } = req.query;
+  if (since && !isValidDate(since)) {
+    return res.status(400).json({ error: `Invalid since date "${since}" (expected YYYY-MM-DD)` });
+  }
+  res.json({ since: since || null, clubs: getConversionReport(since) });
+});
+
+// ABC vs GHL check for a club and date range: GET /reconcile/31600?start=2024-01-01&end=2024-01-03
+// (defaults to today). POST with ?heal=true also creates / tags whatever is missing
+async function handleReconcile(req, res, heal) {
+  const clubNumber = req.params.clubNumber;
+  const start = req.query.start || (getConfig().clubs[clubNumber] ? getTodayDate(getClubTimezone(clubNumber)) : null);
+  const end = req.query.end || start;
+
+  const error = validateBackfillRange(clubNumber, start, end);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const range = { start, end };
+  if (!heal) {
+    const report = await reconcileClub(clubNumber, range);
+    return res.status(report.ok ? 200 : 502).json(report);
+  }
+
+  const report = await reconcileAndHeal(clubNumber, range);
+  if (report.busy) {
+    return res.status(409).json({ error: `${report.error} - try again once it finishes` });
+  }
+  res.status(report.ok ? 200 : 502).json(report);
+}
+
+app.get('/reconcile/:clubNumber', viewAccess, asyncRoute((req, res) => handleReconcile(req, res, false)));
+app.post('/reconcile/:clubNumber', operatorAccess, asyncRoute((req, res) => handleReconcile(req, res, req.query.heal === 'true')));
+
+// Latest reconciliation report per club (from the nightly job or /reconcile)
+app.get('/reconciliation', viewAccess, (req, res) => {
+  res.json({ clubs: lastReconciliations });
+});
+
+// GHL OAuth (lib/ghlAuth.js): send an admin to GHL to install the app on a club's location
+app.get('/oauth/install', operatorAccess, (req, res) => {
+  if (!ghlAuth.isOAuthConfigured()) {
+    return res.status(503).json({ error: 'GHL OAuth is not configured (GHL_CLIENT_ID, GHL_CLIENT_SECRET, GHL_OAUTH_REDIRECT_URI)' });
+  }
+  res.redirect(ghlAuth.getInstallUrl());
+});
+
+// GHL redirects here after an install; the state must be one /oauth/install handed out, the code is
+// only good with our client secret, and only tokens for the configured clubs' locations are kept
+app.get('/oauth/callback', asyncRoute(async (req, res) => {
+  if (!ghlAuth.checkInstallState(req.query.state)) {
+    return res.status(400).send(renderMessage('GHL install failed', 'Unknown or expired install - start again from /oauth/install'));
+  }
+  if (!req.query.code) {
+    return res.status(400).send(renderMessage('GHL install failed', req.query.error_description || req.query.error || 'No authorization code'));
+  }
+
+  const clubs = Object.values(getConfig().clubs);
+  try {
+    const locationId = await ghlAuth.installFromCode(req.query.code.toString(), clubs.map(club => club.ghlLocationId));
+    const names = clubs.filter(club => club.ghlLocationId === locationId).map(club => `${club.name || club.clubNumber} (${club.clubNumber})`);
+    res.send(renderMessage('GHL connected', `GHL location ${locationId} is authorized for ${names.join(', ')}.`));
+  } catch (error) {
+    res.status(400).send(renderMessage('GHL install failed', error.message));
+  }
+}));
+
+// Per-club GHL authorization: OAuth or static token, expiry, and whether access was revoked
+app.get('/oauth/status', viewAccess, (req, res) => {
+  res.json({ oauthConfigured: ghlAuth.isOAuthConfigured(), clubs: getGhlAuthStatus() });
 });
 
-// Manual trigger for swim only
-app.get('/trigger-swim', async (req, res) => {
-  await syncSwimSales();
+// Admin dashboard for the front desk - browsers sign in with an API key as the password
+app.get('/admin', viewAccess, (req, res) => {
+  res.send(renderDashboard(getDashboardData()));
+});
+
+// Sync one club now from the dashboard (?dryRun=true to only show what would change)
+app.post('/admin/clubs/:clubNumber/sync', operatorAccess, asyncRoute(async (req, res) => {
+  const clubNumber = req.params.clubNumber;
+  const club = getConfig().clubs[clubNumber];
+  if (!club) {
+    return res.status(404).send(renderMessage('Unknown club', `No club ${clubNumber} in the config`));
+  }
+
+  const dryRun = DRY_RUN || req.query.dryRun === 'true';
+  const { result: jobs, plan } = dryRun
+    ? await withDryRun(() => syncClubNow(clubNumber))
+    : { result: await syncClubNow(clubNumber), plan: [] };
+  res.send(renderSyncResult({ clubNumber, name: club.name || clubNumber, dryRun, jobs, plan }));
+}));
+
+// Records flagged because several GHL contacts matched them (e.g. a shared phone number)
+app.get('/ambiguous-matches', viewAccess, (req, res) => {
+  const isAmbiguous = entry => entry.outcome === 'ambiguous';
   res.json({
-    status: 'Swim sync triggered',
-    syncedSwimTxCount: syncedSwimTransactionIds.size
+    prospects: ledger.listProspects(isAmbiguous),
+    posTransactions: ledger.listPosTransactions(isAmbiguous)
   });
 });
 
 // DEBUG: See raw prospect data structure
-app.get('/debug/:clubNumber', async (req, res) => {
+app.get('/debug/:clubNumber', viewAccess, asyncRoute(async (req, res) => {
   const clubNumber = req.params.clubNumber;
-  console.log(`[DEBUG] Fetching sample prospects for club ${clubNumber}`);
+  debugLog.info('Fetching sample prospects', { club: clubNumber });
   
   const prospects = await getAbcProspects(clubNumber);
+  if (!prospects) {
+    return res.status(502).json({ error: `Could not fetch prospects for club ${clubNumber}` });
+  }
   
   // Return first 3 prospects with full structure
   const samples = prospects.slice(0, 3).map(p => ({
@@ -659,122 +2034,235 @@ app.get('/debug/:clubNumber', async (req, res) => {
     allTopLevelKeys: Object.keys(p)
   }));
   
-  res.json({
+  res.json(maskUnlessAllowed(req, {
     totalProspects: prospects.length,
     sampleCount: samples.length,
     samples: samples
-  });
-});
+  }));
+}));
 
-// DEBUG: Test filter on actual data
-app.get('/debug-filter/:clubNumber', async (req, res) => {
+// DEBUG: Run the club's prospect rules (config: prospectRules) on today's prospects, showing per
+// prospect which rule it is synced under, or which conditions of each rule it failed
+app.get('/debug-filter/:clubNumber', viewAccess, asyncRoute(async (req, res) => {
   const clubNumber = req.params.clubNumber;
-  console.log(`[DEBUG] Testing filter for club ${clubNumber}`);
+  if (!getConfig().clubs[clubNumber]) {
+    return res.status(404).json({ error: `Unknown club ${clubNumber}` });
+  }
+  debugLog.info('Testing filter', { club: clubNumber });
   
   const prospects = await getAbcProspects(clubNumber);
+  if (!prospects) {
+    return res.status(502).json({ error: `Could not fetch prospects for club ${clubNumber}` });
+  }
   
-  // Check each prospect and show why it passed or failed
-  const analysis = prospects.slice(0, 20).map(p => {
-    const entrySource = p.agreementEntrySource || 
-                        p.agreement?.agreementEntrySource ||
-                        p.agreement?.entrySource;
-    const entrySourceReport = p.agreementEntrySourceReportName || 
-                              p.agreement?.agreementEntrySourceReportName ||
-                              p.agreement?.entrySourceReportName;
-    const campaign = p.campaign || 
-                     p.campaignName || 
-                     p.agreement?.campaign ||
-                     p.agreement?.campaignName;
-    
-    const isValidEntrySource = entrySource === 'DataTrak Fast Add' || entrySourceReport === 'Fast Add';
-    const isValidCampaign = TARGET_CAMPAIGNS.includes(campaign);
+  const evaluated = prospects.map(p => ({ prospect: p, ...evaluateProspect(clubNumber, p) }));
+  const analysis = evaluated.slice(0, 20).map(({ prospect: p, rule, reason, facts, results }) => {
+    const name = `${p.firstName || p.personal?.firstName || ''} ${p.lastName || p.personal?.lastName || ''}`;
     
     return {
       memberId: p.memberId || p.id,
-      name: `${p.firstName || p.personal?.firstName || ''} ${p.lastName || p.personal?.lastName || ''}`,
-      entrySource,
-      entrySourceReport,
-      campaign,
-      passesEntrySource: isValidEntrySource,
-      passesCampaign: isValidCampaign,
-      wouldSync: isValidEntrySource && isValidCampaign
+      name: req.showPii ? name : maskField('name', name),
+      campaign: facts.campaign,
+      entrySource: facts.entrySource,
+      entrySourceReport: facts.entrySourceReport,
+      salesperson: facts.salesperson,
+      memberType: facts.memberType,
+      hasBirthDate: !!facts.birthDate,
+      hasEmail: !!facts.email,
+      hasPhone: !!facts.phone,
+      wouldSync: !!rule,
+      matchedRule: rule?.name || null,
+      tags: rule ? getProspectTags(facts.campaign, rule) : [],
+      workflows: rule?.workflows || [],
+      reason,
+      rules: results.map(result => ({ rule: result.rule.name, passed: result.passed, failed: result.failed }))
     };
   });
   
-  const filtered = filterProspects(prospects);
-  
   res.json({
     totalProspects: prospects.length,
-    matchingFilter: filtered.length,
-    targetCampaigns: TARGET_CAMPAIGNS,
-    requiredEntrySource: 'DataTrak Fast Add / Fast Add',
+    matchingFilter: evaluated.filter(result => result.rule).length,
+    rules: getConfig().prospectRules
+      .filter(rule => !rule.clubs || rule.clubs.includes(clubNumber))
+      .map(describeProspectRule),
     analysis: analysis
   });
-});
-
-// DEBUG: See today's swim POS transactions
-app.get('/debug-swim', async (req, res) => {
-  console.log(`[DEBUG] Fetching swim POS data for club ${SWIM_CLUB}`);
+}));
 
-  const data = await getPosTransactions(SWIM_CLUB);
-  const transactions = extractTransactions(data);
+// DEBUG: Preview the GHL fields the field map (config: fieldMap) produces for today's prospects
+app.get('/debug-fields/:clubNumber', viewAccess, asyncRoute(async (req, res) => {
+  const clubNumber = req.params.clubNumber;
+  if (!getConfig().clubs[clubNumber]) {
+    return res.status(404).json({ error: `Unknown club ${clubNumber}` });
+  }
+  
+  const prospects = await getAbcProspects(clubNumber);
+  if (!prospects) {
+    return res.status(502).json({ error: `Could not fetch prospects for club ${clubNumber}` });
+  }
+  
+  res.json({
+    fieldMap: getConfig().clubs[clubNumber].fieldMap.map(({ from, to, transform, policy }) => ({ from, to, transform, policy })),
+    samples: prospects.slice(0, 5).map(p => ({
+      memberId: p.memberId || p.id,
+      fields: maskUnlessAllowed(req, getContactFields(p)),
+      mapped: getMappedFields(p, clubNumber).map(field => (
+        req.showPii || !isPiiField(field.to) ? field : { ...field, value: maskField(field.to, field.value) }
+      ))
+    }))
+  });
+}));
+
+// DEBUG: See today's POS transactions matched by each rule
+// /debug-pos/31600 for one club, /debug-pos (or /debug-swim) for every club with rules
+app.get(['/debug-pos/:clubNumber?', '/debug-swim'], viewAccess, asyncRoute(async (req, res) => {
+  const { posRules } = getConfig();
+  const clubNumbers = req.params.clubNumber ? [req.params.clubNumber] : getPosClubs();
+  const results = [];
+
+  for (const clubNumber of clubNumbers) {
+    debugLog.info('Fetching POS data', { club: clubNumber });
+    const rules = getRulesForClub(posRules, clubNumber);
+
+    const transactions = await getPosTransactions(clubNumber);
+    if (!transactions) {
+      return res.status(502).json({ error: `Could not fetch POS transactions for club ${clubNumber}` });
+    }
 
-  const swimSales = [];
-  let skippedReturns = 0;
+    const matches = [];
+    const returns = [];
 
-  transactions.forEach(tx => {
-    if (tx.return === 'true' || tx.return === true) {
+    transactions.forEach(tx => {
       const items = extractItems(tx);
-      if (items.some(item => SWIM_PROFIT_CENTERS.includes(item.profitCenter))) skippedReturns++;
-      return;
-    }
 
-    const items = extractItems(tx);
-    const swimItems = items.filter(item =>
-      SWIM_PROFIT_CENTERS.includes(item.profitCenter)
-    );
+      if (isReturn(tx)) {
+        for (const rule of rules) {
+          const returnItems = matchPosRule(rule, clubNumber, items, { ignoreMinAmount: true });
+          if (returnItems.length === 0) continue;
+
+          const reversal = ledger.getPosTransaction(tx.transactionId, rule.name);
+          const original = reversal
+            ? { txId: reversal.originalTxId }
+            : findOriginalSale(rule, (tx.memberId || '').toString(), returnItems.map(item => item.name));
+          returns.push({
+            rule: rule.name,
+            transactionId: tx.transactionId,
+            memberId: tx.memberId,
+            items: returnItems.map(item => item.name),
+            originalTransactionId: original?.txId || null,
+            reversal: reversal ? reversal.outcome : null
+          });
+        }
+        return;
+      }
 
-    if (swimItems.length > 0) {
-      swimSales.push({
-        transactionId: tx.transactionId,
-        transactionTimestamp: tx.transactionTimestamp,
-        memberId: tx.memberId,
-        alreadySynced: syncedSwimTransactionIds.has(tx.transactionId),
-        swimItems: swimItems.map(item => ({
-          name: item.name,
-          profitCenter: item.profitCenter,
-          unitPrice: item.unitPrice,
-          quantity: item.quantity,
-          subtotal: item.subtotal
-        }))
-      });
-    }
-  });
+      for (const rule of rules) {
+        const ruleItems = matchPosRule(rule, clubNumber, items);
+        if (ruleItems.length === 0) continue;
+
+        matches.push({
+          rule: rule.name,
+          transactionId: tx.transactionId,
+          transactionTimestamp: tx.transactionTimestamp,
+          memberId: tx.memberId,
+          alreadySynced: !!ledger.getPosTransaction(tx.transactionId, rule.name),
+          items: ruleItems.map(item => ({
+            name: item.name,
+            profitCenter: item.profitCenter,
+            unitPrice: item.unitPrice,
+            quantity: item.quantity,
+            subtotal: item.subtotal
+          }))
+        });
+      }
+    });
+
+    results.push({
+      club: clubNumber,
+      timezone: getClubTimezone(clubNumber),
+      date: getTodayDate(getClubTimezone(clubNumber)),
+      rules: rules.map(rule => rule.name),
+      totalTransactions: transactions.length,
+      matchesFound: matches.length,
+      returns: returns,
+      transactions: matches
+    });
+  }
 
   res.json({
-    club: SWIM_CLUB,
-    date: getTodayDate(),
-    totalTransactions: transactions.length,
-    swimTransactionsFound: swimSales.length,
-    returnsSkipped: skippedReturns,
-    syncedSwimTxCount: syncedSwimTransactionIds.size,
-    transactions: swimSales
+    syncedPosTxCount: ledger.counts().posTransactions,
+    clubs: results
   });
+}));
+
+// Errors from the routes above: logged, and answered with a 500
+app.use((error, req, res, next) => {
+  serverLog.error('Request failed', { method: req.method, path: req.path, error: error.message });
+  if (res.headersSent) return next(error);
+  if (req.path.startsWith('/admin')) {
+    return res.status(500).send(renderMessage('Something went wrong', error.message));
+  }
+  res.status(500).json({ error: error.message });
 });
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`[SERVER] ABC-GHL Prospect + Swim Sync running on port ${PORT}`);
-  console.log(`[SERVER] Polling every ${POLL_INTERVAL / 1000} seconds`);
-  console.log(`[SERVER] Prospect sync clubs: ${Object.keys(LOCATIONS).join(', ')}`);
-  console.log(`[SERVER] Swim POS sync club: ${SWIM_CLUB} (${SWIM_PROFIT_CENTERS.join(', ')})`);
-  
-  // Schedule midnight reset
-  scheduleMidnightReset();
-  
-  // Initial poll
-  pollAllClubs();
-  
-  // Start polling interval
-  setInterval(pollAllClubs, POLL_INTERVAL);
-});
+function startServer() {
+  // Load config up front so a bad file stops startup with its validation errors
+  let config;
+  try {
+    config = getConfig();
+  } catch (error) {
+    serverLog.error('Could not load config', { error: error.message });
+    process.exit(1);
+  }
+
+  app.listen(PORT, async () => {
+    serverLog.info('ABC-GHL Prospect + POS Sync running', { port: PORT, logLevel: LOG_LEVEL, logPii: LOG_PII });
+    if (getApiKeyCount() === 0) {
+      serverLog.error('No API_KEYS configured - trigger, retry-queue and debug routes will reject every request');
+    }
+    if (DRY_RUN) {
+      serverLog.info('DRY_RUN=true - GHL writes and ledger changes are disabled, planned actions are logged');
+    }
+    if (TRAFFIC_MODE === 'record') {
+      serverLog.info('TRAFFIC_MODE=record - ABC / GHL traffic is recorded', { dir: TRAFFIC_DIR });
+    }
+    serverLog.info('Prospect sync clubs', { clubs: Object.keys(config.clubs) });
+    config.posRules.forEach(rule => {
+      serverLog.info('POS rule', { rule: rule.name, clubs: rule.clubs, tags: rule.tags });
+    });
+    
+    // Pick up config file edits without a redeploy (added / removed clubs and schedule changes included)
+    registerJobs();
+    onConfigChange(registerJobs);
+    watchConfig();
+    
+    // Catch up on anything missed while we were down, then the initial poll - a failed catch-up
+    // leaves the cursors where they were, so it is tried again on the next startup
+    try {
+      await catchUp();
+    } catch (error) {
+      catchupLog.error('Catch-up failed - will retry on next startup', { outcome: 'failed', error: error.message });
+    }
+    pollAllClubs().catch(error => pollLog.error('Initial poll failed', { outcome: 'failed', error: error.message }));
+    
+    // Scheduled runs from here on (a job still busy with the initial poll skips its first tick)
+    scheduler.startScheduler();
+  });
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  app,
+  startServer,
+  syncClub,
+  syncPosSales,
+  syncConversions,
+  registerJobs,
+  pollAllClubs,
+  backfill,
+  validateBackfillRange
+};